@@ -0,0 +1,22 @@
+export const COMPOSITE = 0;
+export const STRAIGHT = 1;
+export const BRIGHTEN = 2;
+export const DARKEN = 3;
+export const ADD = 4;
+export const SUBTRACT = 5;
+export const MULTIPLY = 6;
+export const DIVIDE = 7;
+export const COLOR = 8;
+export const HUE = 9;
+export const SATURATION = 10;
+export const LUMINANCE = 11;
+export const BEHIND = 12;
+export const ONTO = 13;
+export const ALPHA_BRIGHTEN = 14;
+export const ALPHA_DARKEN = 15;
+export const SCREEN = 16;
+export const HARD_LIGHT = 17;
+export const DIFFERENCE = 18;
+export const ALPHA_OVER = 19;
+export const OVERLAY = 20;
+export const STRAIGHT_ONTO = 21;
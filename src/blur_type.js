@@ -0,0 +1,15 @@
+export const BOX = 0;
+export const FASTGAUSSIAN = 1;
+export const CROSS = 2;
+export const GAUSSIAN = 3;
+export const DISC = 4;
+
+
+// The gaussian blurs treat "size" as a radius rather than a diameter, so
+// Synfig scales the parameter down before handing it to them.
+export function sizeAmplifier(type) {
+  switch(type) {
+    case FASTGAUSSIAN: case GAUSSIAN: return 0.5;
+    default: return 1;
+  }
+}
@@ -0,0 +1,165 @@
+import * as Interpolation from '../interpolation.js';
+import * as Vector from '../types/vector.js';
+
+import * as Arithmetic from './arithmetic.js';
+import { evaluate } from './evaluate.js';
+
+
+// Samples an <animated> node the way Synfig does: every pair of waypoints is
+// joined by a Hermite curve whose tangents come from the waypoints'
+// interpolation modes, and the position along it follows a second Hermite
+// curve shaped by the temporal tension.
+export function evaluateAnimated(node, time) {
+  const waypoints = node.waypoints, len = waypoints.length;
+  if(!len) {
+    throw Error("Can't evaluate an animated node with no waypoints!");
+  }
+  if(time <= waypoints[0].time) {
+    return evaluate(waypoints[0].valueNode, time);
+  }
+  if(time >= waypoints[len-1].time) {
+    return evaluate(waypoints[len-1].valueNode, time);
+  }
+  
+  let i = 1;
+  while(waypoints[i].time <= time) {
+    ++i;
+  }
+  const before = waypoints[i-1], after = waypoints[i];
+  const type = node.type;
+  
+  if(!Arithmetic.canInterpolate(type)) {
+    return evaluate(before.valueNode, time);
+  }
+  const interpolationAfter = interpolationOf(node, before.interpolationAfter);
+  const interpolationBefore = interpolationOf(node, after.interpolationBefore);
+  if(interpolationAfter === Interpolation.CONSTANT || interpolationBefore === Interpolation.CONSTANT) {
+    // Constant on both sides switches halfway; otherwise it holds until the next waypoint.
+    if(interpolationAfter === interpolationBefore && time >= (before.time + after.time) / 2) {
+      return evaluate(after.valueNode, time);
+    }
+    return evaluate(before.valueNode, time);
+  }
+  
+  // Integers are interpolated like reals, then rounded.
+  const mathType = type === 'integer' ? 'real' : type;
+  const values = [];
+  const valueAt = (index) => {
+    if(values[index] === undefined) {
+      values[index] = evaluate(waypoints[index].valueNode, time);
+    }
+    return values[index];
+  };
+  
+  const tangent1 = outgoingTangent(node, mathType, i - 1, valueAt);
+  const tangent2 = incomingTangent(node, mathType, i, valueAt);
+  const t = curveAmount(before, after, time);
+  const out = hermite(mathType, valueAt(i - 1), tangent1, valueAt(i), tangent2, t);
+  return type === 'integer' ? Math.round(out) : out;
+}
+
+
+function interpolationOf(node, interpolation) {
+  if(interpolation === Interpolation.UNDEFINED || interpolation === Interpolation.NIL) {
+    interpolation = node.interpolation;
+  }
+  if(interpolation === Interpolation.UNDEFINED || interpolation === Interpolation.NIL ||
+       interpolation === Interpolation.MANUAL) {
+    return Interpolation.TCB;
+  }
+  return interpolation;
+}
+
+function hermite(type, p1, t1, p2, t2, t) {
+  const tt = t * t, ttt = tt * t;
+  const h1 = 2 * ttt - 3 * tt + 1, h2 = -2 * ttt + 3 * tt;
+  const h3 = ttt - 2 * tt + t, h4 = ttt - tt;
+  return Arithmetic.add(type,
+    Arithmetic.add(type, Arithmetic.scale(type, p1, h1), Arithmetic.scale(type, p2, h2)),
+    Arithmetic.add(type, Arithmetic.scale(type, t1, h3), Arithmetic.scale(type, t2, h4)));
+}
+
+function hermiteNumber(p1, t1, p2, t2, t) {
+  const tt = t * t, ttt = tt * t;
+  return (2 * ttt - 3 * tt + 1) * p1 + (-2 * ttt + 3 * tt) * p2 +
+         (ttt - 2 * tt + t) * t1 + (ttt - tt) * t2;
+}
+
+// How far along the curve we are runs along its own curve rather than
+// straight through time. With no temporal tension that's a straight line;
+// tension slows things down around the waypoint it belongs to.
+function curveAmount(before, after, time) {
+  const amount = (time - before.time) / (after.time - before.time);
+  return hermiteNumber(0, 1 - before.temporalTension, 1, 1 - after.temporalTension, amount);
+}
+
+
+// Kochanek-Bartels tangents. A waypoint has separate tangents for the curve
+// arriving at it and the curve leaving it, which only differ when the
+// continuity isn't zero.
+function tcbTangent(type, waypoint, prev, value, next, leaving) {
+  const t = waypoint.tension, c = waypoint.continuity, b = waypoint.bias;
+  const c1 = leaving ? 1 + c : 1 - c, c2 = leaving ? 1 - c : 1 + c;
+  return Arithmetic.add(type,
+    Arithmetic.scale(type, Arithmetic.subtract(type, value, prev), (1 - t) * c1 * (1 + b) / 2),
+    Arithmetic.scale(type, Arithmetic.subtract(type, next, value), (1 - t) * c2 * (1 - b) / 2));
+}
+
+// Clamped tangents keep the curve from overshooting: they go flat at peaks
+// and valleys, and are never steep enough to carry the curve past either
+// neighbour.
+function clampedNumber(prev, value, next) {
+  if((value - prev) * (next - value) <= 0) {
+    return 0;
+  }
+  const tangent = (next - prev) / 2;
+  const limit = 3 * Math.min(Math.abs(value - prev), Math.abs(next - value));
+  return Math.max(-limit, Math.min(limit, tangent));
+}
+
+function clampedTangent(type, prev, value, next) {
+  if(type === 'vector') {
+    return Vector.at(clampedNumber(prev.x, value.x, next.x), clampedNumber(prev.y, value.y, next.y));
+  }
+  return clampedNumber(prev, value, next);
+}
+
+function canClamp(type) {
+  return Arithmetic.isNumeric(type) || type === 'vector';
+}
+
+function tangentAt(node, type, index, valueAt, leaving) {
+  const waypoints = node.waypoints, waypoint = waypoints[index];
+  const interpolation = interpolationOf(node, leaving ? waypoint.interpolationAfter : waypoint.interpolationBefore);
+  const other = leaving ? index + 1 : index - 1;
+  if(interpolation === Interpolation.HALT) {
+    return Arithmetic.zero(type);
+  }
+  
+  const value = valueAt(index);
+  const chord = leaving ? Arithmetic.subtract(type, valueAt(other), value) :
+                          Arithmetic.subtract(type, value, valueAt(other));
+  // The ends of the animation have nothing on their far side to look at.
+  const beyond = leaving ? index - 1 : index + 1;
+  if(interpolation === Interpolation.LINEAR || beyond < 0 || beyond >= waypoints.length) {
+    return chord;
+  }
+  
+  const prev = valueAt(index - 1), next = valueAt(index + 1);
+  const tangent = interpolation === Interpolation.CLAMPED && canClamp(type) ?
+                    clampedTangent(type, prev, value, next) :
+                    tcbTangent(type, waypoint, prev, value, next, leaving);
+  // Waypoints aren't evenly spaced in time, so the tangent is scaled by how
+  // much of the time around the waypoint this segment takes up.
+  const span = Math.abs(waypoints[other].time - waypoint.time);
+  const around = waypoints[index + 1].time - waypoints[index - 1].time;
+  return Arithmetic.scale(type, tangent, 2 * span / around);
+}
+
+function outgoingTangent(node, type, index, valueAt) {
+  return tangentAt(node, type, index, valueAt, true);
+}
+
+function incomingTangent(node, type, index, valueAt) {
+  return tangentAt(node, type, index, valueAt, false);
+}
@@ -0,0 +1,119 @@
+import * as Vector from '../types/vector.js';
+import * as Color from '../types/color.js';
+import * as Gradient from '../types/gradient.js';
+import * as BLinePoint from '../types/bline_point.js';
+
+
+export function isNumeric(type) {
+  return type === 'real' || type === 'angle' || type === 'time' || type === 'integer';
+}
+
+export function canInterpolate(type) {
+  return isNumeric(type) || type === 'vector' || type === 'color' ||
+         type === 'gradient' || type === 'bline_point';
+}
+
+
+// Gradients are combined the way Synfig does it: every stop position from
+// either side is kept, and the colors at each position are combined.
+function combineGradients(a, b, combine) {
+  const positions = [];
+  a.stops.concat(b.stops).forEach((stop) => {
+    if(positions.indexOf(stop.position) === -1) {
+      positions.push(stop.position);
+    }
+  });
+  positions.sort((x, y) => x - y);
+  
+  const out = Gradient.empty();
+  for(let i = 0, len = positions.length; i < len; ++i) {
+    const pos = positions[i];
+    Gradient.addNewStop(out, pos, combine(Gradient.colorAt(a, pos), Gradient.colorAt(b, pos)));
+  }
+  return out;
+}
+
+// Spline points are combined field by field. The split flags can't be
+// combined, so they're taken from the first point.
+function combineBLinePoints(a, b, combineVectors, combineNumbers) {
+  return BLinePoint.create(combineVectors(a.vertex, b.vertex),
+                           combineVectors(a.tangent1, b.tangent1),
+                           combineVectors(a.tangent2, b.tangent2),
+                           combineNumbers(a.width, b.width),
+                           combineNumbers(a.origin, b.origin),
+                           a.splitRadius, a.splitAngle);
+}
+
+export function add(type, a, b) {
+  if(isNumeric(type)) {
+    return a + b;
+  }
+  switch(type) {
+    case 'vector': return Vector.add(a, b);
+    case 'color': return Color.add(a, b);
+    case 'gradient': return combineGradients(a, b, Color.add);
+    case 'bline_point': return combineBLinePoints(a, b, Vector.add, (x, y) => x + y);
+  }
+  throw Error(`Can't add values of type "${type}"!`);
+}
+
+export function subtract(type, plus, minus) {
+  if(isNumeric(type)) {
+    return plus - minus;
+  }
+  switch(type) {
+    case 'vector': return Vector.subtract(plus, minus);
+    case 'color': return Color.subtract(plus, minus);
+    case 'gradient': return combineGradients(plus, minus, Color.subtract);
+    case 'bline_point': return combineBLinePoints(plus, minus, Vector.subtract, (x, y) => x - y);
+  }
+  throw Error(`Can't subtract values of type "${type}"!`);
+}
+
+export function scale(type, value, scalar) {
+  if(type === 'integer') {
+    return Math.round(value * scalar);
+  }
+  if(isNumeric(type)) {
+    return value * scalar;
+  }
+  switch(type) {
+    case 'vector': return Vector.scale(value, scalar);
+    case 'color': return Color.scale(value, scalar);
+    case 'gradient': {
+      const out = Gradient.empty();
+      value.stops.forEach((stop) => {
+        Gradient.addNewStop(out, stop.position, Color.scale(stop.color, scalar));
+      });
+      return out;
+    }
+    case 'bline_point': {
+      return BLinePoint.create(Vector.scale(value.vertex, scalar),
+                               Vector.scale(value.tangent1, scalar),
+                               Vector.scale(value.tangent2, scalar),
+                               value.width * scalar, value.origin * scalar,
+                               value.splitRadius, value.splitAngle);
+    }
+  }
+  throw Error(`Can't scale values of type "${type}"!`);
+}
+
+export function lerp(type, a, b, amount) {
+  if(type === 'integer') {
+    return Math.round(a + (b - a) * amount);
+  }
+  return add(type, scale(type, a, 1 - amount), scale(type, b, amount));
+}
+
+export function zero(type) {
+  if(isNumeric(type)) {
+    return 0;
+  }
+  switch(type) {
+    case 'vector': return Vector.zero();
+    case 'color': return Color.rgb(0, 0, 0, 0);
+    case 'gradient': return Gradient.empty();
+    case 'bline_point': return BLinePoint.create(undefined, undefined, undefined, 0, 0, true, true);
+  }
+  throw Error(`Values of type "${type}" have no zero!`);
+}
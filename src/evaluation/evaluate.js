@@ -0,0 +1,119 @@
+import * as VNDynamicList from '../value_nodes/dynamic_list.js';
+import * as Vector from '../types/vector.js';
+import { deepCopy } from '../utils.js';
+
+import * as Arithmetic from './arithmetic.js';
+import * as Spline from './spline.js';
+import { evaluateAnimated } from './animated.js';
+import { evaluateLinkable } from './linkable.js';
+
+
+// Evaluates any value node at a time in seconds, giving back plain data of
+// the node's type: numbers, vectors, colors and so on. Lists come back as
+// arrays of their items' values.
+export function evaluate(node, time) {
+  if(!node) {
+    throw Error("Can't evaluate a missing value node!");
+  }
+  time = time || 0;
+  
+  switch(node.name) {
+    case 'constant': return valueOf(node.data);
+    case 'animated': return evaluateAnimated(node, time);
+    case 'static_list': return node.items.map((item) => evaluate(item, time));
+    case 'bline': return evaluateBLine(node, time);
+    case 'dynamic_list': case 'wplist': case 'dilist': {
+      return VNDynamicList.activeEntries(node, time).map((entry) => evaluate(entry.valueNode, time));
+    }
+    case 'weighted_average': return evaluateWeightedAverage(node, time);
+  }
+  return evaluateLinkable(node, time);
+}
+
+// Turns a parsed ValueBase into the same plain data evaluate() gives back.
+export function valueOf(value) {
+  switch(value.type) {
+    case 'list': return value.data.map(valueOf);
+    case 'canvas': return value.data;
+  }
+  return deepCopy(value.data);
+}
+
+
+function evaluateWeightedAverage(node, time) {
+  const type = node.type, items = VNDynamicList.activeEntries(node, time);
+  let sum = Arithmetic.zero(type), total = 0;
+  for(let i = 0, len = items.length; i < len; ++i) {
+    const weighted = evaluate(items[i].valueNode, time);
+    if(weighted.weight) {
+      sum = Arithmetic.add(type, sum, Arithmetic.scale(type, weighted.value, weighted.weight));
+      total += weighted.weight;
+    }
+  }
+  return total ? Arithmetic.scale(type, sum, 1 / total) : sum;
+}
+
+// Spline points fade in and out rather than popping: a point that's partway
+// there sits between where it should be and the spot on the curve its
+// neighbours would make without it. Its origin says how far along that curve
+// the spot is.
+function evaluateBLine(node, time) {
+  const entries = VNDynamicList.entryAmounts(node, time), len = entries.length;
+  const points = entries.map(({ entry }) => evaluate(entry.valueNode, time));
+  const out = [];
+  for(let i = 0; i < len; ++i) {
+    const amount = entries[i].amount;
+    if(amount === 1) {
+      out.push(points[i]);
+      continue;
+    }
+    
+    const prev = findOnPoint(entries, points, i, -1, node.loop);
+    const next = findOnPoint(entries, points, i, 1, node.loop);
+    let off;
+    if(prev && next) {
+      const p1 = prev.vertex, t1 = prev.tangent2, p2 = next.vertex, t2 = next.tangent1;
+      const origin = points[i].origin;
+      // Synfig shortens the tangent by how close the spot is to either end.
+      const tangent = Vector.scale(Spline.segmentTangent(p1, t1, p2, t2, origin), Math.min(origin, 1 - origin));
+      off = {
+        vertex: Spline.segmentPoint(p1, t1, p2, t2, origin),
+        tangent1: tangent,
+        tangent2: tangent,
+        width: prev.width + (next.width - prev.width) * origin,
+        origin: origin
+      };
+    } else {
+      const neighbour = prev || next || points[i];
+      off = {
+        vertex: neighbour.vertex,
+        tangent1: Vector.zero(),
+        tangent2: Vector.zero(),
+        width: neighbour.width,
+        origin: points[i].origin
+      };
+    }
+    off.splitRadius = points[i].splitRadius;
+    off.splitAngle = points[i].splitAngle;
+    out.push(Arithmetic.lerp('bline_point', off, points[i], amount));
+  }
+  return out;
+}
+
+function findOnPoint(entries, points, index, step, loop) {
+  const len = entries.length;
+  for(let i = index + step; i !== index; i += step) {
+    if(i < 0 || i >= len) {
+      if(!loop) {
+        return;
+      }
+      i = (i + len) % len;
+      if(i === index) {
+        return;
+      }
+    }
+    if(entries[i].amount === 1) {
+      return points[i];
+    }
+  }
+}
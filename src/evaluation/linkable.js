@@ -0,0 +1,538 @@
+import * as Vector from '../types/vector.js';
+import * as Color from '../types/color.js';
+import * as Gradient from '../types/gradient.js';
+import * as Matrix from '../types/matrix.js';
+import * as Segment from '../types/segment.js';
+import * as Transformation from '../types/transformation.js';
+import * as BLinePoint from '../types/bline_point.js';
+import * as WidthPoint from '../types/width_point.js';
+import * as DashItem from '../types/dash_item.js';
+import * as Weighted from '../types/weighted.js';
+
+import * as Arithmetic from './arithmetic.js';
+import * as Spline from './spline.js';
+import { evaluate } from './evaluate.js';
+
+
+const evaluators = {};
+
+function register(name, evaluator) {
+  if(typeof name === 'string') {
+    evaluators[name] = evaluator;
+  } else {
+    for(let i = 0, len = name.length; i < len; ++i) {
+      evaluators[name[i]] = evaluator;
+    }
+  }
+  return evaluator;
+}
+
+
+export function evaluateLinkable(node, time) {
+  if(!Object.hasOwnProperty.call(evaluators, node.name)) {
+    throw Error(`Don't know how to evaluate <${node.name}> nodes!`);
+  }
+  return evaluators[node.name](node, time);
+}
+
+function link(node, key, time) {
+  if(!node[key]) {
+    throw Error(`<${node.name}> is missing its "${key}" link!`);
+  }
+  return evaluate(node[key], time);
+}
+
+function optionalLink(node, key, time, fallback) {
+  return node[key] ? evaluate(node[key], time) : fallback;
+}
+
+// Synfig's integer and real nodes count angles in degrees.
+function convertNumber(type, value) {
+  switch(type) {
+    case 'angle': return value * Math.PI / 180;
+    case 'bool': return value !== 0;
+    case 'integer': return Math.round(value);
+  }
+  return value;
+}
+
+
+register('duplicate', (node, time) => link(node, 'from', time));
+
+register('add', (node, time) => {
+  const type = node.type;
+  const sum = Arithmetic.add(type, link(node, 'lhs', time), link(node, 'rhs', time));
+  return Arithmetic.scale(type, sum, optionalLink(node, 'scalar', time, 1));
+});
+
+register('subtract', (node, time) => {
+  const type = node.type;
+  const difference = Arithmetic.subtract(type, link(node, 'lhs', time), link(node, 'rhs', time));
+  return Arithmetic.scale(type, difference, optionalLink(node, 'scalar', time, 1));
+});
+
+register('scale', (node, time) => {
+  return Arithmetic.scale(node.type, link(node, 'link', time), link(node, 'scalar', time));
+});
+
+register('range', (node, time) => {
+  const min = link(node, 'min', time), max = link(node, 'max', time);
+  return Math.min(max, Math.max(min, link(node, 'link', time)));
+});
+
+register('exp', (node, time) => {
+  return Math.exp(link(node, 'exp', time)) * optionalLink(node, 'scale', time, 1);
+});
+
+register('pow', (node, time) => {
+  const base = link(node, 'base', time), power = link(node, 'power', time);
+  const epsilon = optionalLink(node, 'epsilon', time, 0.000001);
+  if(Math.abs(power) < epsilon) {
+    return 1;
+  }
+  if(Math.abs(base) < epsilon) {
+    return power > 0 ? 0 : optionalLink(node, 'infinite', time, 999999);
+  }
+  return Math.pow(base, power);
+});
+
+register('reciprocal', (node, time) => {
+  const value = link(node, 'link', time);
+  if(Math.abs(value) < optionalLink(node, 'epsilon', time, 0.000001)) {
+    const infinite = optionalLink(node, 'infinite', time, 999999);
+    return value < 0 ? -infinite : infinite;
+  }
+  return 1 / value;
+});
+
+register('fromint', (node, time) => convertNumber(node.type, link(node, 'integer', time)));
+
+register('fromreal', (node, time) => convertNumber(node.type, link(node, 'link', time)));
+
+register('step', (node, time) => {
+  const duration = link(node, 'duration', time), start = link(node, 'startTime', time);
+  const intersection = optionalLink(node, 'intersection', time, 0.5);
+  if(duration) {
+    time = (Math.floor((time - start) / duration) + intersection) * duration + start;
+  }
+  return link(node, 'link', time);
+});
+
+
+register('dotproduct', (node, time) => {
+  const lhs = link(node, 'lhs', time), rhs = link(node, 'rhs', time);
+  const dot = Vector.dot(lhs, rhs);
+  if(node.type === 'angle') {
+    const lengths = Vector.length(lhs) * Vector.length(rhs);
+    return lengths ? Math.acos(Math.max(-1, Math.min(1, dot / lengths))) : 0;
+  }
+  return dot;
+});
+
+register('vectorlength', (node, time) => Vector.length(link(node, 'vector', time)));
+
+register('vectorangle', (node, time) => Vector.angle(link(node, 'vector', time)));
+
+register('vectorx', (node, time) => link(node, 'vector', time).x);
+
+register('vectory', (node, time) => link(node, 'vector', time).y);
+
+register('cos', (node, time) => {
+  return Math.cos(link(node, 'angle', time)) * optionalLink(node, 'amp', time, 1);
+});
+
+register('sin', (node, time) => {
+  return Math.sin(link(node, 'angle', time)) * optionalLink(node, 'amp', time, 1);
+});
+
+register('atan2', (node, time) => Math.atan2(link(node, 'y', time), link(node, 'x', time)));
+
+
+register('composite', (node, time) => {
+  const type = node.type;
+  switch(type) {
+    case 'vector': {
+      return Vector.at(link(node, 'x', time), link(node, 'y', time));
+    }
+    case 'color': {
+      const color = Color.rgb(link(node, 'r', time), link(node, 'g', time),
+                              link(node, 'b', time), optionalLink(node, 'a', time, 1));
+      return node.gamma ? Color.decodeGamma(color, node.gamma) : color;
+    }
+    case 'segment': {
+      return Segment.create(link(node, 'point1', time), link(node, 'tangent1', time),
+                            link(node, 'point2', time), link(node, 'tangent2', time));
+    }
+    case 'bline_point': {
+      const tangent1 = link(node, 'tangent1', time);
+      const tangent2 = optionalLink(node, 'tangent2', time, tangent1);
+      // Older files have a single "split" link for both.
+      const split = optionalLink(node, 'split', time, !!node.tangent2);
+      const splitRadius = optionalLink(node, 'splitRadius', time, split);
+      const splitAngle = optionalLink(node, 'splitAngle', time, split);
+      // Whatever isn't split is shared with the first tangent.
+      const merged = Vector.polar(Vector.length(splitRadius ? tangent2 : tangent1),
+                                  Vector.angle(splitAngle ? tangent2 : tangent1));
+      return BLinePoint.create(link(node, 'vertex', time), tangent1, merged,
+                               optionalLink(node, 'width', time, 1),
+                               optionalLink(node, 'origin', time, 0.5),
+                               splitRadius, splitAngle);
+    }
+    case 'transformation': {
+      return Transformation.create(link(node, 'offset', time), link(node, 'angle', time),
+                                   link(node, 'skew', time), link(node, 'scale', time));
+    }
+    case 'width_point': {
+      return WidthPoint.create(link(node, 'position', time), link(node, 'width', time),
+                               optionalLink(node, 'sideBefore', time),
+                               optionalLink(node, 'sideAfter', time), false,
+                               optionalLink(node, 'lowerBound', time),
+                               optionalLink(node, 'upperBound', time));
+    }
+    case 'dash_item': {
+      return DashItem.create(link(node, 'offset', time), link(node, 'length', time),
+                             optionalLink(node, 'sideBefore', time),
+                             optionalLink(node, 'sideAfter', time));
+    }
+  }
+  if(type.indexOf('weighted_') === 0) {
+    return Weighted.create(link(node, 'weight', time), link(node, 'value', time));
+  }
+  throw Error(`Can't evaluate a <composite> of type "${type}"!`);
+});
+
+register('radial_composite', (node, time) => {
+  if(node.type === 'vector') {
+    return Vector.polar(link(node, 'radius', time), link(node, 'theta', time));
+  }
+  const saturation = link(node, 'saturation', time), hue = link(node, 'hue', time);
+  const color = Color.fromYUV(link(node, 'luma', time), saturation * Math.sin(hue),
+                              saturation * Math.cos(hue), optionalLink(node, 'alpha', time, 1));
+  return node.gamma ? Color.decodeGamma(color, node.gamma) : color;
+});
+
+
+function locateOnBLine(node, time) {
+  const points = link(node, 'bline', time);
+  if(!points.length) {
+    throw Error(`<${node.name}> can't sample an empty spline!`);
+  }
+  const loop = optionalLink(node, 'loop', time, false);
+  if(points.length === 1) {
+    const only = points[0];
+    return { segment: { from: only, to: only, p1: only.vertex, t1: only.tangent2,
+                        p2: only.vertex, t2: only.tangent1 }, t: 0 };
+  }
+  return Spline.locate(Spline.blineSegments(points, loop), link(node, 'amount', time),
+                       optionalLink(node, 'homogeneous', time, false));
+}
+
+register('blinecalcvertex', (node, time) => {
+  const { segment, t } = locateOnBLine(node, time);
+  return Spline.segmentPoint(segment.p1, segment.t1, segment.p2, segment.t2, t);
+});
+
+register('blinecalctangent', (node, time) => {
+  const { segment, t } = locateOnBLine(node, time);
+  const tangent = Spline.segmentTangent(segment.p1, segment.t1, segment.p2, segment.t2, t);
+  const angle = Vector.angle(tangent) + optionalLink(node, 'offset', time, 0);
+  const scale = optionalLink(node, 'scale', time, 1);
+  const length = optionalLink(node, 'fixedLength', time, false) ? scale : Vector.length(tangent) * scale;
+  switch(node.type) {
+    case 'angle': return angle;
+    case 'real': return length;
+  }
+  return Vector.polar(length, angle);
+});
+
+register('blinecalcwidth', (node, time) => {
+  const { segment, t } = locateOnBLine(node, time);
+  const width = segment.from.width + (segment.to.width - segment.from.width) * t;
+  return width * optionalLink(node, 'scale', time, 1);
+});
+
+register('blinereversetangent', (node, time) => {
+  const value = link(node, 'reference', time);
+  if(!optionalLink(node, 'reverse', time, false)) {
+    return value;
+  }
+  if(node.type === 'bline_point') {
+    return BLinePoint.create(value.vertex, Vector.scale(value.tangent2, -1),
+                             Vector.scale(value.tangent1, -1), value.width, value.origin,
+                             value.splitRadius, value.splitAngle);
+  }
+  return Vector.scale(value, -1);
+});
+
+register('segcalcvertex', (node, time) => {
+  const s = link(node, 'segment', time);
+  return Spline.segmentPoint(s.point1, s.tangent1, s.point2, s.tangent2, link(node, 'amount', time));
+});
+
+register('segcalctangent', (node, time) => {
+  const s = link(node, 'segment', time);
+  return Spline.segmentTangent(s.point1, s.tangent1, s.point2, s.tangent2, link(node, 'amount', time));
+});
+
+
+register('timeloop', (node, time) => {
+  const linkTime = link(node, 'linkTime', time), localTime = link(node, 'localTime', time);
+  const duration = link(node, 'duration', time);
+  if(!duration) {
+    time = linkTime;
+  } else if(duration > 0) {
+    time -= localTime;
+    time = linkTime + time - Math.floor(time / duration) * duration;
+  } else {
+    time -= localTime;
+    time = linkTime - (time - Math.floor(time / -duration) * -duration);
+  }
+  return link(node, 'link', time);
+});
+
+register('timed_swap', (node, time) => {
+  const swapTime = link(node, 'time', time), length = link(node, 'length', time);
+  if(time >= swapTime) {
+    return link(node, 'after', time);
+  }
+  if(time <= swapTime - length) {
+    return link(node, 'before', time);
+  }
+  const type = node.type, amount = (swapTime - time) / length;
+  if(!Arithmetic.canInterpolate(type)) {
+    return link(node, amount > 0.5 ? 'before' : 'after', time);
+  }
+  return Arithmetic.lerp(type, link(node, 'after', time), link(node, 'before', time), amount);
+});
+
+register('linear', (node, time) => {
+  const type = node.type;
+  return Arithmetic.add(type, Arithmetic.scale(type, link(node, 'slope', time), time),
+                        link(node, 'offset', time));
+});
+
+register('switch', (node, time) => {
+  return link(node, link(node, 'switch', time) ? 'linkOn' : 'linkOff', time);
+});
+
+register('reference', (node, time) => link(node, 'link', time));
+
+register('reverse', (node, time) => link(node, 'link', time).slice().reverse());
+
+
+register('and', (node, time) => link(node, 'link1', time) && link(node, 'link2', time));
+
+register('or', (node, time) => link(node, 'link1', time) || link(node, 'link2', time));
+
+register('not', (node, time) => !link(node, 'link', time));
+
+// These load and save fine, but there's nothing to say what they should come
+// out as, so they can't be evaluated yet.
+register('logical', (node) => {
+  throw Error(`<${node.name}> nodes can be loaded and written, but not evaluated!`);
+});
+
+register('greater', (node, time) => {
+  const lhs = link(node, 'lhs', time), rhs = link(node, 'rhs', time);
+  return optionalLink(node, 'orEqual', time, false) ? lhs >= rhs : lhs > rhs;
+});
+
+register('less', (node, time) => {
+  const lhs = link(node, 'lhs', time), rhs = link(node, 'rhs', time);
+  return optionalLink(node, 'orEqual', time, false) ? lhs <= rhs : lhs < rhs;
+});
+
+register('equal', (node, time) => {
+  const difference = Math.abs(link(node, 'lhs', time) - link(node, 'rhs', time));
+  return difference <= optionalLink(node, 'precision', time, 0.000001);
+});
+
+register('compare', (node, time) => {
+  const lhs = link(node, 'lhs', time), rhs = link(node, 'rhs', time);
+  return (lhs > rhs && optionalLink(node, 'greater', time, false)) ||
+         (lhs === rhs && optionalLink(node, 'equal', time, false)) ||
+         (lhs < rhs && optionalLink(node, 'less', time, false));
+});
+
+
+register('stripes', (node, time) => {
+  const steps = link(node, 'steps', time), out = Gradient.empty();
+  if(steps <= 0) {
+    return out;
+  }
+  const color1 = link(node, 'color1', time), color2 = link(node, 'color2', time);
+  const width = Math.max(0, Math.min(1, link(node, 'width', time)));
+  const widthA = width / steps, widthB = (1 - width) / steps;
+  for(let i = 0; i < steps; ++i) {
+    let pos = i / steps + widthA / 2;
+    Gradient.addNewStop(out, pos, color1);
+    Gradient.addNewStop(out, pos, color2);
+    pos += widthB;
+    Gradient.addNewStop(out, pos, color2);
+    Gradient.addNewStop(out, pos, color1);
+  }
+  return out;
+});
+
+register('twotone', (node, time) => {
+  return Gradient.twoColor(link(node, 'color1', time), link(node, 'color2', time));
+});
+
+register('gradientrotate', (node, time) => {
+  const gradient = link(node, 'gradient', time), offset = link(node, 'offset', time);
+  const out = Gradient.empty();
+  gradient.stops.forEach((stop) => {
+    Gradient.addNewStop(out, stop.position + offset, stop.color);
+  });
+  return out;
+});
+
+register('gradientcolor', (node, time) => {
+  let index = link(node, 'index', time);
+  if(optionalLink(node, 'loop', time, false)) {
+    index -= Math.floor(index);
+  }
+  return Gradient.colorAt(link(node, 'gradient', time), index);
+});
+
+
+function pad(str, width, zeroPad) {
+  let sign = '';
+  if(zeroPad && str.charAt(0) === '-') {
+    sign = '-';
+    str = str.substr(1);
+  }
+  while(sign.length + str.length < width) {
+    str = (zeroPad ? '0' : ' ') + str;
+  }
+  return sign + str;
+}
+
+function formatTime(time) {
+  const sign = time < 0 ? '-' : '';
+  time = Math.abs(time);
+  const hours = Math.floor(time / 3600), minutes = Math.floor(time / 60) % 60;
+  const seconds = Math.round((time - hours * 3600 - minutes * 60) * 1e6) / 1e6;
+  const parts = [];
+  if(hours) parts.push(`${hours}h`);
+  if(minutes) parts.push(`${minutes}m`);
+  if(seconds || !parts.length) parts.push(`${seconds}s`);
+  return sign + parts.join(' ');
+}
+
+register('realstring', (node, time) => {
+  const precision = optionalLink(node, 'precision', time, 3);
+  return pad(link(node, 'real', time).toFixed(Math.max(0, precision)),
+             optionalLink(node, 'width', time, 0), optionalLink(node, 'zeroPad', time, false));
+});
+
+register('timestring', (node, time) => formatTime(link(node, 'time', time)));
+
+register('intstring', (node, time) => {
+  return pad(String(Math.round(link(node, 'int', time))),
+             optionalLink(node, 'width', time, 0), optionalLink(node, 'zeroPad', time, false));
+});
+
+register('anglestring', (node, time) => {
+  const degrees = link(node, 'angle', time) * 180 / Math.PI;
+  const precision = optionalLink(node, 'precision', time, 3);
+  return pad(degrees.toFixed(Math.max(0, precision)),
+             optionalLink(node, 'width', time, 0), optionalLink(node, 'zeroPad', time, false));
+});
+
+register('joinstrings', (node, time) => {
+  return optionalLink(node, 'before', time, '') +
+         link(node, 'strings', time).join(optionalLink(node, 'separator', time, ' ')) +
+         optionalLink(node, 'after', time, '');
+});
+
+register('compose', (node, time) => {
+  const strings = link(node, 'strings', time);
+  let i = 0;
+  return link(node, 'format', time).replace(/%s/g, () => i < strings.length ? strings[i++] : '');
+});
+
+
+// A bone's value carries its evaluated parent along with the matrix that
+// takes points from the bone's space into the canvas.
+register('bone_root', (node, time) => {
+  return {
+    name: 'root',
+    origin: Vector.zero(),
+    angle: 0,
+    matrix: Matrix.identity()
+  };
+});
+
+register('bone', (node, time) => {
+  const parent = optionalLink(node, 'parent', time);
+  const origin = link(node, 'origin', time), angle = link(node, 'angle', time);
+  const local = Matrix.multiply(Matrix.rotation(angle), Matrix.translation(origin));
+  return {
+    name: optionalLink(node, 'boneName', time, ''),
+    parent: parent,
+    origin: origin,
+    angle: angle,
+    localLengthScale: optionalLink(node, 'localLengthScale', time, 1),
+    width: optionalLink(node, 'width', time, 0.1),
+    scalelx: optionalLink(node, 'scalelx', time, 1),
+    tipWidth: optionalLink(node, 'tipWidth', time, 0.1),
+    depth: optionalLink(node, 'depth', time, 0),
+    length: optionalLink(node, 'length', time, 1),
+    matrix: parent ? Matrix.multiply(local, parent.matrix) : local
+  };
+});
+
+function transformValue(type, matrix, value) {
+  switch(type) {
+    case 'vector': return Matrix.transform(matrix, value);
+    case 'angle': return value + Vector.angle(Matrix.transformDirection(matrix, Vector.at(1, 0)));
+    case 'transformation': {
+      return Transformation.fromMatrix(Matrix.multiply(Transformation.toMatrix(value), matrix));
+    }
+    case 'bline_point': {
+      return BLinePoint.create(Matrix.transform(matrix, value.vertex),
+                               Matrix.transformDirection(matrix, value.tangent1),
+                               Matrix.transformDirection(matrix, value.tangent2),
+                               value.width, value.origin, value.splitRadius, value.splitAngle);
+    }
+  }
+  return value;
+}
+
+register('bone_link', (node, time) => {
+  const bone = link(node, 'bone', time), trans = Transformation.fromMatrix(bone.matrix);
+  if(!optionalLink(node, 'translate', time, true)) {
+    trans.offset = Vector.zero();
+  }
+  if(!optionalLink(node, 'rotate', time, true)) {
+    trans.angle = 0;
+  }
+  if(!optionalLink(node, 'skew', time, true)) {
+    trans.skew = 0;
+  }
+  trans.scale = Vector.at(trans.scale.x * optionalLink(node, 'scaleX', time, 1),
+                          trans.scale.y * optionalLink(node, 'scaleY', time, 1));
+  return transformValue(node.type, Transformation.toMatrix(trans), link(node, 'baseValue', time));
+});
+
+register('bone_weight_pair', (node, time) => {
+  return {
+    bone: link(node, 'bone', time),
+    weight: link(node, 'weight', time)
+  };
+});
+
+register('bone_influence', (node, time) => {
+  const pairs = link(node, 'boneWeightList', time), sum = Array(9).fill(0);
+  let total = 0;
+  for(let i = 0, len = pairs.length; i < len; ++i) {
+    const array = pairs[i].bone.matrix.array, weight = pairs[i].weight;
+    for(let j = 0; j < 9; ++j) {
+      sum[j] += array[j] * weight;
+    }
+    total += weight;
+  }
+  const matrix = total ? { array: sum.map((x) => x / total) } : Matrix.identity();
+  return transformValue(node.type, matrix, link(node, 'link', time));
+});
@@ -0,0 +1,71 @@
+import * as Vector from '../types/vector.js';
+
+
+// Synfig's splines are cubic Hermite curves, with tangents given as the
+// curve's derivative at each end.
+export function segmentPoint(p1, t1, p2, t2, t) {
+  const t2_ = t * t, t3 = t2_ * t;
+  const h1 = 2 * t3 - 3 * t2_ + 1, h2 = -2 * t3 + 3 * t2_;
+  const h3 = t3 - 2 * t2_ + t, h4 = t3 - t2_;
+  return Vector.at(h1 * p1.x + h2 * p2.x + h3 * t1.x + h4 * t2.x,
+                   h1 * p1.y + h2 * p2.y + h3 * t1.y + h4 * t2.y);
+}
+
+export function segmentTangent(p1, t1, p2, t2, t) {
+  const t2_ = t * t;
+  const h1 = 6 * t2_ - 6 * t, h2 = -6 * t2_ + 6 * t;
+  const h3 = 3 * t2_ - 4 * t + 1, h4 = 3 * t2_ - 2 * t;
+  return Vector.at(h1 * p1.x + h2 * p2.x + h3 * t1.x + h4 * t2.x,
+                   h1 * p1.y + h2 * p2.y + h3 * t1.y + h4 * t2.y);
+}
+
+
+const LENGTH_SAMPLES = 16;
+
+function segmentLength(p1, t1, p2, t2) {
+  let length = 0, last = p1;
+  for(let i = 1; i <= LENGTH_SAMPLES; ++i) {
+    const point = segmentPoint(p1, t1, p2, t2, i / LENGTH_SAMPLES);
+    length += Vector.length(Vector.subtract(point, last));
+    last = point;
+  }
+  return length;
+}
+
+// The segments of a list of evaluated bline points, each going from one
+// vertex's outgoing tangent to the next vertex's incoming one.
+export function blineSegments(points, loop) {
+  const segments = [], len = points.length;
+  for(let i = 0, count = loop ? len : len - 1; i < count; ++i) {
+    const a = points[i], b = points[(i + 1) % len];
+    segments.push({
+      from: a,
+      to: b,
+      p1: a.vertex, t1: a.tangent2,
+      p2: b.vertex, t2: b.tangent1
+    });
+  }
+  return segments;
+}
+
+// Finds which segment `amount` (from 0 to 1 along the whole spline) falls on,
+// and how far along it. Homogeneous splines go by length rather than by
+// counting segments.
+export function locate(segments, amount, homogeneous) {
+  const count = segments.length;
+  amount = Math.max(0, Math.min(1, amount));
+  if(!homogeneous) {
+    const index = Math.min(count - 1, Math.floor(amount * count));
+    return { segment: segments[index], t: amount * count - index };
+  }
+  
+  const lengths = segments.map((s) => segmentLength(s.p1, s.t1, s.p2, s.t2));
+  const total = lengths.reduce((a, b) => a + b, 0);
+  let distance = amount * total;
+  for(let i = 0; i < count; ++i) {
+    if(distance <= lengths[i] || i === count - 1) {
+      return { segment: segments[i], t: lengths[i] ? Math.min(1, distance / lengths[i]) : 0 };
+    }
+    distance -= lengths[i];
+  }
+}
@@ -1,15 +1,25 @@
-const guids = {};
-
-export function set(guid, value) {
-  guids[guid] = value;
+// Each document gets its own registry, so loading a file twice gives two
+// separate sets of objects. Documents that link to each other can share one.
+export function createRegistry() {
+  return {
+    byGuid: new Map(),
+    byValue: new Map()
+  };
+}
+
+export function set(registry, guid, value) {
+  registry.byGuid.set(guid, value);
+  if(!registry.byValue.has(value)) {
+    registry.byValue.set(value, guid);
+  }
 }
 
-export function get(guid) {
-  return guids[guid];
+export function get(registry, guid) {
+  return registry.byGuid.get(guid);
 }
 
-export function exists(guid) {
-  return guids.hasOwnProperty(guid);
+export function exists(registry, guid) {
+  return registry.byGuid.has(guid);
 }
 
 function hex(number, width) {
@@ -36,20 +46,16 @@ export function generate() {
   return out;
 }
 
-export function find(value) {
-  for(let guid in guids) {
-    if(guids[guid] === value) {
-      return guid;
-    }
-  }
+export function find(registry, value) {
+  return registry.byValue.get(value);
 }
 
-export function sureFind(value) {
-  let guid = find(value);
+export function sureFind(registry, value) {
+  let guid = find(registry, value);
   if(guid) {
     return guid;
   }
   guid = generate();
-  set(guid, value);
+  set(registry, guid, value);
   return guid;
 }
@@ -0,0 +1,52 @@
+import { parseValueNode, checkAttribute } from './general.js';
+import { report } from './diagnostics.js';
+import * as Canvas from '../types/canvas.js';
+
+import * as VNBone from '../value_nodes/bone.js';
+
+
+// Bones that were referenced before they were defined. The <bone> with the
+// same GUID fills one in when it turns up.
+const placeholders = new WeakSet();
+
+export function isBonePlaceholder(node) {
+  return placeholders.has(node);
+}
+
+export function resolveBonePlaceholder(node) {
+  placeholders.delete(node);
+}
+
+
+export function parseBones(pulley, context) {
+  pulley.loopTag((pulley) => {
+    const tag = pulley.check('opentag'), node = parseValueNode(pulley, context);
+    if(node.name === 'bone') {
+      Canvas.addBone(context.canvas, node);
+    } else if(!VNBone.isRoot(node)) {
+      report(context, 'unexpected-element', `<bones> should only contain bones, not <${node.name}>. Skipping.`, tag);
+    }
+  }, 'bones');
+}
+
+export function parseBoneRoot(pulley, context) {
+  pulley.skipTag('bone_root');
+  return Canvas.getBoneRoot(context.canvas);
+}
+
+// parseValueNode has already looked the GUID up by the time this is called,
+// so the bone can't have been seen yet.
+export function parseBoneReference(pulley, context) {
+  const tag = pulley.checkName('bone_valuenode');
+  checkAttribute(tag, 'guid');
+  pulley.skipTag('bone_valuenode');
+  
+  const bone = VNBone.create(), guid = tag.attributes['guid'];
+  placeholders.add(bone);
+  context.onParsingDone(() => {
+    if(placeholders.has(bone)) {
+      report(context, 'undefined-bone', `Bone ${guid} is referenced, but never defined.`, tag);
+    }
+  });
+  return bone;
+}
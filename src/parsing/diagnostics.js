@@ -0,0 +1,141 @@
+// Where each opening tag came from: its line and column, and the tag it's
+// nested in. Keyed by the pulley's tag objects, so it goes away with them.
+const sources = new WeakMap();
+
+// xml-pulley's sax parser doesn't track positions, so the opening tags are
+// found by scanning the XML separately, then matched up in order with a copy
+// of the pulley's queue.
+export function trackSource(pulley, xml) {
+  const positions = scanOpenTags(xml), copy = pulley.checkin(), stack = [];
+  let node, i = 0;
+  while((node = copy.next())) {
+    if(node.type === 'opentag') {
+      const position = positions[i++] || {};
+      sources.set(node, {
+        line: position.line,
+        column: position.column,
+        parent: stack[stack.length - 1]
+      });
+      stack.push(node);
+    } else if(node.type === 'closetag') {
+      stack.pop();
+    }
+  }
+}
+
+function scanOpenTags(xml) {
+  const out = [];
+  let line = 1, lineStart = 0;
+  for(let i = 0, len = xml.length; i < len; ++i) {
+    const c = xml.charAt(i);
+    if(c === '\n') {
+      ++line;
+      lineStart = i + 1;
+      continue;
+    }
+    if(c !== '<') {
+      continue;
+    }
+    
+    const next = xml.charAt(i + 1);
+    let end;
+    if(xml.substr(i, 4) === '<!--') {
+      end = xml.indexOf('-->', i);
+    } else if(xml.substr(i, 9) === '<![CDATA[') {
+      end = xml.indexOf(']]>', i);
+    } else if(next === '!' || next === '?') {
+      end = xml.indexOf('>', i);
+    } else {
+      if(next !== '/') {
+        out.push({ line: line, column: i - lineStart + 1 });
+      }
+      continue;
+    }
+    // Comments and the like can span lines, but can't hold tags.
+    end = end === -1 ? len : end;
+    for(; i < end; ++i) {
+      if(xml.charAt(i) === '\n') {
+        ++line;
+        lineStart = i + 1;
+      }
+    }
+  }
+  return out;
+}
+
+
+function describe(tag) {
+  const attrs = tag.attributes;
+  const keys = ['id', 'name', 'type', 'time'];
+  for(let i = 0; i < keys.length; ++i) {
+    if(attrs[keys[i]] !== undefined) {
+      return `${tag.name}[${keys[i]}="${attrs[keys[i]]}"]`;
+    }
+  }
+  return tag.name;
+}
+
+// Like "/canvas/layer[type="circle"]/param[name="radius"]".
+export function elementPath(tag) {
+  const parts = [];
+  for(; tag; tag = (sources.get(tag) || {}).parent) {
+    parts.unshift(describe(tag));
+  }
+  return '/' + parts.join('/');
+}
+
+export function diagnostic(code, severity, message, tag) {
+  const source = (tag && sources.get(tag)) || {};
+  return {
+    code: code,
+    severity: severity,
+    message: message,
+    path: tag ? elementPath(tag) : undefined,
+    line: source.line,
+    column: source.column
+  };
+}
+
+function describeLocation(diag) {
+  let out = diag.message;
+  if(diag.line !== undefined) {
+    out += ` (line ${diag.line}, column ${diag.column})`;
+  }
+  return out;
+}
+
+
+// Fatal problems are thrown as these. They carry the same data as the
+// diagnostics that are only reported.
+export function SifParseError(diag) {
+  this.name = 'SifParseError';
+  this.message = describeLocation(diag);
+  this.code = diag.code;
+  this.severity = diag.severity;
+  this.path = diag.path;
+  this.line = diag.line;
+  this.column = diag.column;
+  if(Error.captureStackTrace) {
+    Error.captureStackTrace(this, SifParseError);
+  } else {
+    this.stack = Error(this.message).stack;
+  }
+}
+SifParseError.prototype = Object.create(Error.prototype);
+SifParseError.prototype.constructor = SifParseError;
+
+export function parseError(code, message, tag) {
+  return new SifParseError(diagnostic(code, 'error', message, tag));
+}
+
+// Sends a diagnostic to the sink passed to loadSif, if there is one.
+// Otherwise, it's printed the way it always was.
+export function report(context, code, message, tag, severity) {
+  const diag = diagnostic(code, severity || 'warning', message, tag);
+  const sink = context && context.diagnostics;
+  if(sink) {
+    sink(diag);
+  } else {
+    console.warn(describeLocation(diag));
+  }
+}
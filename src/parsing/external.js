@@ -0,0 +1,195 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { parseError } from './diagnostics.js';
+import { toXMLAsync } from '../sifz.js';
+
+
+// The default resolver reads files from disk, relative to the file that
+// references them. Resolvers give back the file's contents along with a path
+// that identifies it, which is used for caching and for resolving references
+// made from inside it.
+export function fileResolver(file, from) {
+  const resolved = filePath(file, from);
+  return {
+    path: resolved,
+    data: fs.readFileSync(resolved)
+  };
+}
+
+// Like fileResolver, but gives back a Promise and doesn't block while reading.
+export function fileResolverAsync(file, from) {
+  const resolved = filePath(file, from);
+  return fs.promises.readFile(resolved).then((data) => ({ path: resolved, data: data }));
+}
+
+// Just the path part of fileResolver, without reading anything.
+export function filePath(file, from) {
+  return from ? path.resolve(path.dirname(from), file) : path.resolve(file);
+}
+
+// State shared by a file and everything it references. `parse` turns a
+// file's contents into a canvas, given the state for that file.
+//
+// The first file's path has to be spelled the way the resolver spells paths,
+// so it's recognized when something refers back to it. `options.resolvePath`
+// does that for custom resolvers, given the same arguments as the resolver;
+// without it, the path is taken as it is.
+export function createFiles(options, parse) {
+  const resolver = options.resolver || fileResolver;
+  const resolvePath = options.resolvePath || (resolver === fileResolver ? filePath : undefined);
+  const start = options.path && resolvePath ? resolvePath(options.path) : options.path;
+  return {
+    resolver: resolver,
+    path: start,
+    cache: options.cache || new Map(),
+    // Which path each name resolved to, so files aren't read again just to
+    // find them in the cache.
+    resolved: new Map(),
+    loading: start ? [start] : [],
+    guids: options.guids,
+    diagnostics: options.diagnostics,
+    lenient: options.lenient,
+    parse: parse
+  };
+}
+
+function checkCircular(files, key, tag) {
+  if(files.loading.indexOf(key) !== -1) {
+    throw parseError('circular-reference', `Circular file reference: ${files.loading.concat(key).join(' -> ')}!`, tag);
+  }
+}
+
+function loadExternal(files, file, tag) {
+  const name = `${files.path || ''}#${file}`;
+  if(files.resolved.has(name)) {
+    const key = files.resolved.get(name);
+    checkCircular(files, key, tag);
+    if(files.cache.has(key)) {
+      return files.cache.get(key);
+    }
+  }
+  
+  const resolved = files.resolver(file, files.path), key = resolved.path;
+  files.resolved.set(name, key);
+  checkCircular(files, key, tag);
+  if(files.cache.has(key)) {
+    return files.cache.get(key);
+  }
+  
+  const canvas = files.parse(resolved.data, Object.assign({}, files, {
+    path: key,
+    loading: files.loading.concat(key)
+  }));
+  files.cache.set(key, canvas);
+  return canvas;
+}
+
+// Splits "other.sif#id" into the canvas to look the ID up in and the ID
+// itself, loading the other file first if need be. IDs without a file name
+// are looked up in the current canvas.
+export function resolveReference(context, id, tag) {
+  const hash = id.indexOf('#');
+  if(hash === -1) {
+    return { canvas: context.canvas, id: id };
+  }
+  const file = id.substr(0, hash), rest = id.substr(hash + 1);
+  if(!file) {
+    return { canvas: context.canvas, id: rest };
+  }
+  if(!context.files) {
+    throw parseError('no-resolver', `Can't load "${file}" without a resolver!`, tag);
+  }
+  return { canvas: loadExternal(context.files, file, tag), id: rest };
+}
+
+
+// Anything in an attribute that looks like "file#id". It might not really be
+// a reference, so files that can't be loaded only matter if parsing asks for
+// them.
+const REFERENCE = /\s[\w:-]+="([^"#\s]+)#/g;
+
+function referencedFiles(xml) {
+  const out = [];
+  let match;
+  REFERENCE.lastIndex = 0;
+  while((match = REFERENCE.exec(xml))) {
+    if(out.indexOf(match[1]) === -1) {
+      out.push(match[1]);
+    }
+  }
+  return out;
+}
+
+// Reads every file that `xml` refers to, and every file those refer to, one at
+// a time without blocking, so parsing can have them without waiting.
+// `options.resolverAsync` reads them, giving back a Promise of what a resolver
+// gives back; it's fileResolverAsync unless there's a custom resolver, which
+// is used instead. `options.signal` is checked before each file, and
+// `onFile(count)` is called after each one.
+//
+// Gives back a Promise of options for loadSif, with a resolver that hands over
+// what was read.
+export function preloadFiles(xml, options, onFile) {
+  const resolver = options.resolver || fileResolver;
+  const resolverAsync = options.resolverAsync ||
+    (options.resolver ? (file, from) => Promise.resolve().then(() => resolver(file, from)) : fileResolverAsync);
+  const resolvePath = options.resolvePath || (resolver === fileResolver ? filePath : undefined);
+  const signal = options.signal;
+  
+  const loaded = new Map(), visited = new Set();
+  const keyOf = (file, from) => `${from || ''}#${file}`;
+  let count = 0;
+  
+  function visit(xml, from) {
+    return referencedFiles(xml).reduce((chain, file) => chain.then(() => {
+      if(signal && signal.aborted) {
+        throw signal.reason || Error("Loading was aborted!");
+      }
+      const key = keyOf(file, from);
+      if(loaded.has(key)) {
+        return;
+      }
+      let found;
+      return resolverAsync(file, from).then((resolved) => {
+        found = resolved.path;
+        return toXMLAsync(resolved.data);
+      }).then((xml) => {
+        // Kept decompressed, so parsing doesn't have to do that either.
+        loaded.set(key, { resolved: { path: found, data: xml } });
+      }, (error) => {
+        loaded.set(key, { error: error });
+      }).then(() => {
+        const hit = loaded.get(key);
+        if(hit.error) {
+          return;
+        }
+        if(onFile) {
+          onFile(++count);
+        }
+        if(visited.has(found)) {
+          return;
+        }
+        visited.add(found);
+        return visit(hit.resolved.data, found);
+      });
+    }), Promise.resolve());
+  }
+  
+  const start = options.path && resolvePath ? resolvePath(options.path) : options.path;
+  if(start) {
+    visited.add(start);
+  }
+  return visit(xml, start).then(() => Object.assign({}, options, {
+    resolver: (file, from) => {
+      const hit = loaded.get(keyOf(file, from));
+      if(!hit) {
+        return resolver(file, from);
+      }
+      if(hit.error) {
+        throw hit.error;
+      }
+      return hit.resolved;
+    },
+    resolvePath: resolvePath
+  }));
+}
@@ -17,6 +17,7 @@ import * as Keyframe from '../types/keyframe.js';
 import * as ValueBase from '../types/value_base.js';
 import * as Activepoint from '../types/activepoint.js';
 import * as Waypoint from '../types/waypoint.js';
+import * as Opaque from '../types/opaque.js';
 
 import * as VNConst from '../value_nodes/const.js';
 import * as VNStaticList from '../value_nodes/static_list.js';
@@ -29,18 +30,24 @@ import * as VNAnimated from '../value_nodes/animated.js';
 
 import { parseLinkableValueNode } from './linkable_vn.js';
 import { parseLayer } from './layer.js';
+import { resolveReference } from './external.js';
+import { parseError, report } from './diagnostics.js';
+import { parseOpaque } from './opaque.js';
+import { migrate } from './migrations.js';
+import { parseBones, parseBoneRoot, parseBoneReference,
+         isBonePlaceholder, resolveBonePlaceholder } from './bones.js';
 
 
 export function checkAttribute(tag, name) {
   if(tag.attributes[name] === undefined) {
-    throw Error(`<${tag.name}> is missing attribute "${name}"!`);
+    throw parseError('missing-attribute', `<${tag.name}> is missing attribute "${name}"!`, tag);
   }
 }
 
 
 export function parseCanvas(pulley, context, inline) {
   const tag = pulley.checkName('canvas'), attrs = tag.attributes;
-  const parent = context && context.parent;
+  const parent = context && context.canvas;
   let onParsingDone = context && context.onParsingDone;
   
   let doneHandlers;
@@ -51,9 +58,12 @@ export function parseCanvas(pulley, context, inline) {
     };
   }
   
-  if(attrs['guid'] && Guid.exists(attrs['guid'])) {
+  const guids = (context && context.guids) || Guid.createRegistry();
+  // Every value node this document defines, for migrating once it's done.
+  const nodes = (context && context.nodes) || [];
+  if(attrs['guid'] && Guid.exists(guids, attrs['guid'])) {
     pulley.skipTag();
-    return Guid.get(attrs['guid']);
+    return Guid.get(guids, attrs['guid']);
   }
   
   let canvas;
@@ -62,29 +72,46 @@ export function parseCanvas(pulley, context, inline) {
     canvas = Canvas.inline();
     canvas.parent = parent;
   } else if(parent) {
-    canvas = Canvas.childCanvas(canvas, attrs['id']);
+    checkAttribute(tag, 'id');
+    canvas = Canvas.childCanvas(parent, attrs['id']);
   } else {
     canvas = Canvas.create();
+    canvas.guids = guids;
   }
   
-  Guid.set(attrs['guid'] || Guid.generate(), canvas);
+  Guid.set(guids, attrs['guid'] || Guid.generate(), canvas);
   if(!inline && attrs['id']) {
     canvas.id = attrs['id'];
   }
   if(attrs['version']) {
     canvas.version = attrs['version'];
+    if(Version.greater(canvas.version, Version.CANVAS_VERSION)) {
+      report(context, 'newer-version', `Canvas version ${canvas.version} is greater than supported ${Version.CANVAS_VERSION}.`, tag);
+    }
+  }
+  if(!parent) {
+    const gamma = canvas.gamma = Color.defaultGamma();
+    if(attrs['gamma-r']) {
+      gamma.r = parseDecimal(attrs['gamma-r']);
+    }
+    if(attrs['gamma-g']) {
+      gamma.g = parseDecimal(attrs['gamma-g']);
+    }
+    if(attrs['gamma-b']) {
+      gamma.b = parseDecimal(attrs['gamma-b']);
+    }
   }
   if(attrs['width']) {
     const width = parseInt(attrs['width']);
     if(width < 1) {
-      throw Error("Canvas with width or height less than one is not allowed");
+      throw parseError('invalid-attribute', "Canvas with width or height less than one is not allowed", tag);
     }
     canvas.width = width;
   }
   if(attrs['height']) {
     const height = parseInt(attrs['height']);
     if(height < 1) {
-      throw Error("Canvas with width or height less than one is not allowed");
+      throw parseError('invalid-attribute', "Canvas with width or height less than one is not allowed", tag);
     }
     canvas.height = height;
   }
@@ -98,10 +125,10 @@ export function parseCanvas(pulley, context, inline) {
     canvas.fps = parseDecimal(attrs['fps']);
   }
   if(attrs['begin-time'] || attrs['start-time']) {
-    canvas.timeStart = parseTime(attrs['begin-time'] || attrs['start-time'], canvas.fps);
+    canvas.timeStart = parseTime(attrs['begin-time'] || attrs['start-time'], canvas.fps, context, tag);
   }
   if(attrs['end-time']) {
-    canvas.timeEnd = parseTime(attrs['end-time'], canvas.fps);
+    canvas.timeEnd = parseTime(attrs['end-time'], canvas.fps, context, tag);
   }
   if(attrs['antialias']) {
     canvas.antialias = parseInt(attrs['antialias']);
@@ -109,7 +136,7 @@ export function parseCanvas(pulley, context, inline) {
   if(attrs['view-box']) {
     const values = attrs['view-box'].split(' ');
     if(values.length !== 4) {
-      throw Error(`view-box has 4 parameters; ${values.length} given`);
+      throw parseError('invalid-attribute', `view-box has 4 parameters; ${values.length} given`, tag);
     }
     canvas.tl = Vector.at(parseDecimal(values[0]), parseDecimal(values[1]));
     canvas.br = Vector.at(parseDecimal(values[2]), parseDecimal(values[3]));
@@ -117,22 +144,27 @@ export function parseCanvas(pulley, context, inline) {
   if(attrs['bgcolor']) {
     const values = attrs['bgcolor'].split(' ');
     if(values.length !== 4) {
-      throw Error(`bgcolor has 4 parameters; ${values.length} given`);
+      throw parseError('invalid-attribute', `bgcolor has 4 parameters; ${values.length} given`, tag);
     }
-    canvas.bgcolor = Color.rgb(parseDecimal(values[0]), parseDecimal(values[1]),
-                               parseDecimal(values[2]), parseDecimal(values[3]));
+    canvas.bgcolor = linearColor(Color.rgb(parseDecimal(values[0]), parseDecimal(values[1]),
+                                           parseDecimal(values[2]), parseDecimal(values[3])), canvas);
   }
   if(attrs['focus']) {
     const values = attrs['focus'].split(' ');
     if(values.length !== 2) {
-      throw Error(`focus has 2 parameters; ${values.length} given`);
+      throw parseError('invalid-attribute', `focus has 2 parameters; ${values.length} given`, tag);
     }
     canvas.focus = Vector.at(parseDecimal(values[0]), parseDecimal(values[1]));
   }
   
   context = {
     canvas: canvas,
-    onParsingDone: onParsingDone
+    onParsingDone: onParsingDone,
+    files: context && context.files,
+    guids: guids,
+    nodes: nodes,
+    diagnostics: context && context.diagnostics,
+    lenient: context && context.lenient
   };
   
   pulley.loopTag((pulley) => {
@@ -140,19 +172,23 @@ export function parseCanvas(pulley, context, inline) {
     switch(tag.name) {
       case 'defs': {
         if(inline) {
-          throw Error("Inline canvases can't have defs!");
+          throw parseError('unexpected-element', "Inline canvases can't have defs!", tag);
         }
         parseCanvasDefs(pulley, context);
         break;
       }
       case 'bones': {
-        console.warn("Bones are unsupported and probably will be forever.");
-        pulley.skipTag();
+        if(inline) {
+          report(context, 'ignored-element', "Inline canvases can't have bones.", tag);
+          pulley.skipTag();
+          break;
+        }
+        parseBones(pulley, context);
         break;
       }
       case 'keyframe': {
         if(inline) {
-          console.warn("Inline canvases can't have keyframes.");
+          report(context, 'ignored-element', "Inline canvases can't have keyframes.", tag);
           pulley.skipTag();
           break;
         }
@@ -161,7 +197,7 @@ export function parseCanvas(pulley, context, inline) {
       }
       case 'meta': {
         if(inline) {
-          console.warn("Inline canvases can't have metadata.");
+          report(context, 'ignored-element', "Inline canvases can't have metadata.", tag);
           pulley.skipTag();
           break;
         }
@@ -178,17 +214,27 @@ export function parseCanvas(pulley, context, inline) {
         break;
       }
       case 'layer': {
-        Canvas.addLayer(canvas, parseLayer(pulley, context));
+        const layer = parseLayer(pulley, context);
+        if(layer) {
+          Canvas.addLayer(canvas, layer);
+        }
         break;
       }
       default: {
-        throw Error(`Unexpected element in <canvas>: <${tag.name}>`);
+        if(!context.lenient) {
+          throw parseError('unexpected-element', `Unexpected element in <canvas>: <${tag.name}>`, tag);
+        }
+        report(context, 'unexpected-element', `Unexpected element in <canvas>: <${tag.name}>. Keeping it as is.`, tag);
+        Opaque.keep(canvas, parseOpaque(pulley));
       }
     }
   }, 'canvas');
   
-  if(doneHandlers) for(let i = 0, len = doneHandlers.length; i < len; ++i) {
-    doneHandlers[i]();
+  if(doneHandlers) {
+    for(let i = 0, len = doneHandlers.length; i < len; ++i) {
+      doneHandlers[i]();
+    }
+    migrate(canvas.version, nodes);
   }
   
   return canvas;
@@ -207,21 +253,30 @@ export function parseCanvasDefs(pulley, context) {
 
 export function parseValueNode(pulley, context) {
   const tag = pulley.check('opentag'), attrs = tag.attributes;
-  const canvas = context.canvas;
+  const canvas = context.canvas, guids = context.guids;
   
-  let guid = attrs['guid'];
+  let guid = attrs['guid'], placeholder;
   if(guid) {
-    guid = Guid.xor(guid, Guid.sureFind(Canvas.getRoot(canvas)));
-    if(Guid.exists(guid)) {
-      pulley.skipTag();
-      return Guid.get(guid);
+    guid = Guid.xor(guid, Guid.sureFind(guids, Canvas.getRoot(canvas)));
+    if(Guid.exists(guids, guid)) {
+      const existing = Guid.get(guids, guid);
+      if(tag.name !== 'bone' || !isBonePlaceholder(existing)) {
+        pulley.skipTag();
+        return existing;
+      }
+      placeholder = existing;
     }
   } else {
     guid = Guid.generate();
   }
   
+  // <real> and <integer> are also the short names of two linkable nodes,
+  // which always have a type attribute; plain values never do.
+  const isValue = tag.name !== 'canvas' &&
+    !((tag.name === 'real' || tag.name === 'integer') && attrs['type']);
+  
   let node, value;
-  if(tag.name !== 'canvas' && (value = parseValue(pulley, context))) {
+  if(isValue && (value = parseValue(pulley, context))) {
     node = VNConst.wrap(value);
   } else {
     const parser = {
@@ -232,16 +287,23 @@ export function parseValueNode(pulley, context) {
       'bline': parseDynamicList,
       'wplist': parseDynamicList,
       'dilist': parseDynamicList,
-      'weighted_average': parseDynamicList
+      'weighted_average': parseDynamicList,
+      'bone_root': parseBoneRoot,
+      'bone_valuenode': parseBoneReference
     }[tag.name];
     if(parser) {
       node = parser(pulley, context);
-    } else if(node = parseLinkableValueNode(pulley, context)) {
-      
+    } else if(node = parseLinkableValueNode(pulley, context, placeholder)) {
+      if(placeholder) {
+        resolveBonePlaceholder(placeholder);
+      }
     } else if(tag.name === 'canvas') {
-      node = VNConst.wrap(ValueBase.create('canvas', parseCanvas(pulley, context, true)));
+      node = VNConst.wrap(ValueBase.create('canvas', parseCanvas(pulley, context, true), readStatic(tag)));
+    } else if(context.lenient) {
+      report(context, 'unknown-value-node', `Unknown value node <${tag.name}>. Keeping it as is.`, tag);
+      node = Opaque.create(parseOpaque(pulley));
     } else {
-      throw Error(`Expected value node; got <${tag.name}>!`);
+      throw parseError('unexpected-element', `Expected value node; got <${tag.name}>!`, tag);
     }
   }
   
@@ -249,7 +311,8 @@ export function parseValueNode(pulley, context) {
     Canvas.addValueNode(canvas, node, attrs['id']);
   }
   
-  Guid.set(guid, node);
+  Guid.set(guids, guid, node);
+  context.nodes.push(node);
   
   return node;
 }
@@ -257,7 +320,7 @@ export function parseValueNode(pulley, context) {
 export function parseAnimated(pulley, context) {
   const tag = pulley.check('opentag'), name = tag.name, attrs = tag.attributes;
   if(name !== 'hermite' && name !== 'animated') {
-    throw Error(`Attempted to parse <${name}> as an animated!`);
+    throw parseError('unexpected-element', `Attempted to parse <${name}> as an animated!`, tag);
   }
   
   const canvas = context.canvas, fps = (canvas && canvas.fps) || 0;
@@ -268,19 +331,17 @@ export function parseAnimated(pulley, context) {
   pulley.loopTag((pulley) => {
     const tag = pulley.checkName('waypoint'), attrs = tag.attributes;
     checkAttribute(tag, 'time');
-    const waypoint = Waypoint.create(parseTime(attrs['time'], fps), undefined, Interpolation.TCB);
+    const waypoint = Waypoint.create(parseTime(attrs['time'], fps, context, tag), undefined, Interpolation.TCB);
     
     if(attrs['use']) {
-      const id = attrs['use'];
+      const ref = resolveReference(context, attrs['use'], tag);
       if(type === 'canvas') {
-        // TODO: if the ID references an external canvas, make sure it's loaded.
         onParsingDone(() => {
-          waypoint.valueNode = VNConst.wrap(ValueBase.create('canvas', Canvas.findCanvas(canvas, id)));
+          waypoint.valueNode = VNConst.wrap(ValueBase.create('canvas', Canvas.findCanvas(ref.canvas, ref.id)));
         });
       } else {
-        // TODO: if the ID references an external canvas, make sure it's loaded.
         onParsingDone(() => {
-          waypoint.valueNode = Canvas.findValueNode(canvas, id);
+          waypoint.valueNode = Canvas.findValueNode(ref.canvas, ref.id);
         });
       }
       pulley.skipTag();
@@ -303,48 +364,31 @@ export function parseAnimated(pulley, context) {
       waypoint.bias = parseDecimal(attrs['bias']);
     }
     if(attrs['before']) {
-      waypoint.interpolationBefore = interpolationFromString(attrs['before']);
+      waypoint.interpolationBefore = interpolationFromString(attrs['before'], tag);
     }
     if(attrs['after']) {
-      waypoint.interpolationAfter = interpolationFromString(attrs['after']);
+      waypoint.interpolationAfter = interpolationFromString(attrs['after'], tag);
     }
     
     waypoints.push(waypoint);
   }, name);
   
-  if(type === 'angle' && canvas.version === '0.1' && waypoints.length &&
-        waypoints.every((wp) => wp.valueNode.name === 'constant')) {
-    let prev = waypoints[0].valueNode.data.data;
-    for(let i = 1; i < waypoints.length; ++i) {
-      const vb = waypoints[i].valueNode.data;
-      let angle = vb.data;
-      while(angle - prev > 180) {
-        angle -= 360;
-      }
-      while(prev - angle > 180) {
-        angle += 360;
-      }
-      vb.data = prev = angle;
-    }
-  }
-  
   return VNAnimated.create(type, waypoints, readInterpolation(tag));
 }
 
 export function parseStaticList(pulley, context) {
   const tag = pulley.checkName('static_list'), attrs = tag.attributes;
-  const canvas = context.canvas, onParsingDone = context.onParsingDone;
+  const onParsingDone = context.onParsingDone;
   
   checkAttribute(tag, 'type');
   const items = [], out = VNStaticList.create(attrs['type'], items);
   pulley.loopTag((pulley) => {
     const tag = pulley.checkName('entry'), attrs = tag.attributes;
     if(attrs['use']) {
-      const id = attrs['use'], pos = items.length;
+      const ref = resolveReference(context, attrs['use'], tag), pos = items.length;
       items.push(null);
-      // TODO: if the ID references an external canvas, make sure it's loaded.
       onParsingDone(() => {
-        items[pos] = Canvas.findValueNode(canvas, id);
+        items[pos] = Canvas.findValueNode(ref.canvas, ref.id);
       });
       pulley.skipTag();
     } else {
@@ -361,7 +405,7 @@ export function parseDynamicList(pulley, context) {
   const tag = pulley.check('opentag'), name = tag.name, attrs = tag.attributes;
   if(name !== 'dynamic_list' && name !== 'bline' && name !== 'wplist'
         && name !== 'dilist' && name !== 'weighted_average') {
-    throw Error(`Attempted to parse <${name}> as a dynamic list!`);
+    throw parseError('unexpected-element', `Attempted to parse <${name}> as a dynamic list!`, tag);
   }
   checkAttribute(tag, 'type');
   let out;
@@ -375,7 +419,7 @@ export function parseDynamicList(pulley, context) {
     } else if(name === 'weighted_average') {
       const type = attrs['type'];
       if(type.indexOf('weighted_') !== 0) {
-        throw Error(`<weighted_average> must contain a weighted type, not "${type}"!`);
+        throw parseError('invalid-type', `<weighted_average> must contain a weighted type, not "${type}"!`, tag);
       }
       out = VNWeightedAverage.create(type.substr('weighted_'.length));
     }
@@ -403,22 +447,21 @@ export function parseDynamicList(pulley, context) {
       if(code.charAt(0) === 'p') {
         const space = code.indexOf(' ');
         if(space === -1) {
-          throw Error(`No space character in activepoint code "${code}"!`);
+          throw parseError('invalid-attribute', `No space character in activepoint code "${code}"!`, tag);
         }
         priority = parseInt(code.substring(1, space));
         code = code.substr(space + 1);
       }
-      VNDynamicList.Entry.addNewActivepoint(entry, parseTime(code, fps), state, priority);
+      VNDynamicList.Entry.addNewActivepoint(entry, parseTime(code, fps, context, tag), state, priority);
     }
     (attrs['on'] || attrs['begin'] || '').split(',').forEach(parsePoint);
     state = false;
     (attrs['off'] || attrs['end'] || '').split(',').forEach(parsePoint);
     
     if(attrs['use']) {
-      const id = attrs['use'];
-      // TODO: if the ID references an external canvas, make sure it's loaded.
+      const ref = resolveReference(context, attrs['use'], tag);
       onParsingDone(() => {
-        entry.valueNode = Canvas.findValueNode(canvas, id);
+        entry.valueNode = Canvas.findValueNode(ref.canvas, ref.id);
       });
       pulley.skipTag();
     } else {
@@ -443,7 +486,7 @@ export function parseValue(pulley, context) {
       break;
     }
     case 'time': {
-      out.data = parseTime(parseValueAttribute(pulley));
+      out.data = parseTime(parseValueAttribute(pulley), 0, context, tag);
       break;
     }
     case 'integer': {
@@ -465,7 +508,7 @@ export function parseValue(pulley, context) {
         } else if(name === 'y') {
           vec.y = value;
         } else {
-          throw Error(`Unexpected element in <vector>: <${name}>!`);
+          throw parseError('unexpected-element', `Unexpected element in <vector>: <${name}>!`, tag);
         }
         pulley.expectName(name, 'closetag');
       }, 'vector');
@@ -484,10 +527,11 @@ export function parseValue(pulley, context) {
         } else if(name === 'a') {
           col.a = value;
         } else {
-          throw Error(`Unexpected element in <color>: <${name}>!`);
+          throw parseError('unexpected-element', `Unexpected element in <color>: <${name}>!`, tag);
         }
         pulley.expectName(name, 'closetag');
       }, 'color');
+      out.data = linearColor(col, context.canvas);
       break;
     }
     case 'segment': {
@@ -496,7 +540,7 @@ export function parseValue(pulley, context) {
         const name = pulley.expect('opentag').name;
         let value = parseValue(pulley, context);
         if(!value || value.type !== 'vector') {
-          throw Error(`Expected <vector> in <segment>!`);
+          throw parseError('type-mismatch', `Expected <vector> in <segment>!`, tag);
         }
         value = value.data;
         if(name === 'p1') {
@@ -508,7 +552,7 @@ export function parseValue(pulley, context) {
         } else if(name === 't2') {
           seg.tangent2 = value;
         } else {
-          throw Error(`Unexpected element in <segment>: <${name}>!`);
+          throw parseError('unexpected-element', `Unexpected element in <segment>: <${name}>!`, tag);
         }
         pulley.expectName(name, 'closetag');
       }, 'segment');
@@ -519,9 +563,9 @@ export function parseValue(pulley, context) {
       pulley.loopTag((pulley) => {
         const tag = pulley.checkName('color'), attrs = tag.attributes, value = parseValue(pulley, context);
         if(!attrs['pos']) {
-          throw Error("<gradient>'s <color> is missing attribute \"pos\"!");
+          throw parseError('missing-attribute', "<gradient>'s <color> is missing attribute \"pos\"!", tag);
         }
-        Gradient.addStop(grad, parseDecimal(attrs['pos']), value.data);
+        Gradient.addNewStop(grad, parseDecimal(attrs['pos']), value.data);
       }, 'gradient');
       break;
     }
@@ -532,12 +576,14 @@ export function parseValue(pulley, context) {
       } else if(value === 'false' || value === '0') {
         out.data = false;
       } else {
-        throw Error(`Bad value "${value}" in <bool>!`);
+        throw parseError('invalid-value', `Bad value "${value}" in <bool>!`, tag);
       }
       break;
     }
     case 'angle': case 'degrees': case 'radians': case 'rotations': {
-      // Synfig parses all of these as degrees for some reason.
+      // Synfig parses all of these as degrees for some reason, and they're
+      // all the same type once they're read.
+      out.type = 'angle';
       out.data = parseDecimal(parseValueAttribute(pulley)) * Math.PI / 180;
       break;
     }
@@ -546,7 +592,7 @@ export function parseValue(pulley, context) {
       pulley.loopTag((pulley) => {
         const name = pulley.expect('opentag').name, value = parseValue(pulley, context);
         if(!value) {
-          throw Error(`<transformation>'s <${name}> has an invalid value!`);
+          throw parseError('invalid-value', `<transformation>'s <${name}> has an invalid value!`, tag);
         }
         let expectedType;
         if(name === 'offset') {
@@ -562,10 +608,10 @@ export function parseValue(pulley, context) {
           trans.scale = value.data;
           expectedType = 'vector';
         } else {
-          throw Error(`Unexpected element in <transformation>: <${name}>!`);
+          throw parseError('unexpected-element', `Unexpected element in <transformation>: <${name}>!`, tag);
         }
         if(value.type !== expectedType) {
-          throw Error(`Expected <transformation>'s <${name}> to be ${expectedType}; got ${value.type}!`);
+          throw parseError('type-mismatch', `Expected <transformation>'s <${name}> to be ${expectedType}; got ${value.type}!`, tag);
         }
         pulley.expectName(name, 'closetag');
       }, 'transformation');
@@ -577,7 +623,7 @@ export function parseValue(pulley, context) {
         const name = pulley.check('opentag').name;
         const v = parseValue(pulley, context);
         if(!v) {
-          throw Error(`Expected list item to be a value; got <${name}>!`);
+          throw parseError('unexpected-element', `Expected list item to be a value; got <${name}>!`, tag);
         }
         list.push(v);
       }, 'list');
@@ -589,7 +635,7 @@ export function parseValue(pulley, context) {
       pulley.loopTag((pulley) => {
         const name = pulley.expect('opentag').name, value = parseValue(pulley, context);
         if(!value) {
-          throw Error(`<bline_point>'s <${name}> has an invalid value!`);
+          throw parseError('invalid-value', `<bline_point>'s <${name}> has an invalid value!`, tag);
         }
         let expectedType;
         if(name === 'v' || name === 'p1') {
@@ -609,14 +655,14 @@ export function parseValue(pulley, context) {
           bp.origin = value.data;
           expectedType = 'real';
         } else {
-          throw Error(`Unexpected element in <bline_point>: <${name}>!`);
+          throw parseError('unexpected-element', `Unexpected element in <bline_point>: <${name}>!`, tag);
         }
         if(value.type !== expectedType) {
-          throw Error(`Expected <bline_point>'s <${name}> to be ${expectedType}; got ${value.type}!`);
+          throw parseError('type-mismatch', `Expected <bline_point>'s <${name}> to be ${expectedType}; got ${value.type}!`, tag);
         }
         pulley.expectName(name, 'closetag');
       }, 'bline_point');
-      if(!bp.splita) {
+      if(!bp.splitRadius) {
         bp.tangent2 = Vector.clone(bp.tangent1);
       }
       return out;
@@ -631,7 +677,7 @@ export function parseValue(pulley, context) {
       pulley.loopTag((pulley) => {
         const name = pulley.expect('opentag').name, value = parseValue(pulley, context);
         if(!value) {
-          throw Error(`<width_point>'s <${name}> has an invalid value!`);
+          throw parseError('invalid-value', `<width_point>'s <${name}> has an invalid value!`, tag);
         }
         let expectedType;
         if(name === 'position') {
@@ -653,10 +699,10 @@ export function parseValue(pulley, context) {
           wp.upperBound = value.data;
           expectedType = 'real';
         } else {
-          throw Error(`Unexpected element in <width_point>: <${name}>!`);
+          throw parseError('unexpected-element', `Unexpected element in <width_point>: <${name}>!`, tag);
         }
         if(value.type !== expectedType) {
-          throw Error(`Expected <width_point>'s <${name}> to be ${expectedType}; got ${value.type}!`);
+          throw parseError('type-mismatch', `Expected <width_point>'s <${name}> to be ${expectedType}; got ${value.type}!`, tag);
         }
         pulley.expectName(name, 'closetag');
       }, 'width_point');
@@ -667,7 +713,7 @@ export function parseValue(pulley, context) {
       pulley.loopTag((pulley) => {
         const name = pulley.expect('opentag').name, value = parseValue(pulley, context);
         if(!value) {
-          throw Error(`<dash_item>'s <${name}> has an invalid value!`);
+          throw parseError('invalid-value', `<dash_item>'s <${name}> has an invalid value!`, tag);
         }
         let expectedType;
         if(name === 'offset') {
@@ -683,10 +729,10 @@ export function parseValue(pulley, context) {
           di.sideAfter = value.data;
           expectedType = 'integer';
         } else {
-          throw Error(`Unexpected element in <dash_item>: <${name}>!`);
+          throw parseError('unexpected-element', `Unexpected element in <dash_item>: <${name}>!`, tag);
         }
         if(value.type !== expectedType) {
-          throw Error(`Expected <dash_item>'s <${name}> to be ${expectedType}; got ${value.type}!`);
+          throw parseError('type-mismatch', `Expected <dash_item>'s <${name}> to be ${expectedType}; got ${value.type}!`, tag);
         }
         pulley.expectName(name, 'closetag');
       }, 'dash_item');
@@ -701,22 +747,22 @@ export function parseValue(pulley, context) {
       if(tag.name.indexOf('weighted_') === 0) {
         let weight = 0, value;
         pulley.loopTag((pulley) => {
-          const name = pulley.expect('opentag').name, value = parseValue(pulley, context);
-          if(!value) {
-            throw Error(`<${tag.name}>'s <${name}> has an invalid value!`);
+          const name = pulley.expect('opentag').name, item = parseValue(pulley, context);
+          if(!item) {
+            throw parseError('invalid-value', `<${tag.name}>'s <${name}> has an invalid value!`, tag);
           }
           let expectedType;
           if(name === 'weight') {
-            weight = value.data;
+            weight = item.data;
             expectedType = 'real';
           } else if(name === 'value') {
-            weight = value.data;
+            value = item.data;
             expectedType = tag.name.substr('weighted_'.length);
           } else {
-            throw Error(`Unexpected element in <${tag.name}>: <${name}>!`);
+            throw parseError('unexpected-element', `Unexpected element in <${tag.name}>: <${name}>!`, tag);
           }
-          if(value.type !== expectedType) {
-            throw Error(`Expected <${tag.name}>'s <${name}> to be ${expectedType}; got ${value.type}!`);
+          if(item.type !== expectedType) {
+            throw parseError('type-mismatch', `Expected <${tag.name}>'s <${name}> to be ${expectedType}; got ${item.type}!`, tag);
           }
           pulley.expectName(name, 'closetag');
         });
@@ -733,11 +779,23 @@ export function parseValue(pulley, context) {
   return out;
 }
 
+// Files from 1.2 on store colors with the root canvas's gamma applied. Older
+// ones stored them linear and left gamma to whatever rendered them. Composite
+// colors are built from channels that could be anything, so they're decoded
+// when they're evaluated instead.
+export function linearColor(color, canvas) {
+  const root = Canvas.getRoot(canvas);
+  if(Version.less(root.version, '1.2')) {
+    return color;
+  }
+  return Color.decodeGamma(color, root.gamma);
+}
+
 export function parseValueAttribute(pulley) {
   const tag = pulley.expect('opentag'), value = tag.attributes['value'];
   pulley.expectName(tag.name, 'closetag');
   if(!value) {
-    throw Error(`<${tag.name}> is missing attribute "value"!`);
+    throw parseError('missing-attribute', `<${tag.name}> is missing attribute "value"!`, tag);
   }
   return value;
 }
@@ -748,10 +806,10 @@ export function readStatic(tag) {
     case '0': case 'false': case undefined: return false;
     case '1': case 'true': return true;
   }
-  throw Error(`Invalid value for static: "${value}"!`);
+  throw parseError('invalid-attribute', `Invalid value for static: "${value}"!`, tag);
 }
 
-export function interpolationFromString(str) {
+export function interpolationFromString(str, tag) {
   switch(str) {
     case 'halt': return Interpolation.HALT;
     case 'constant': return Interpolation.CONSTANT;
@@ -761,11 +819,11 @@ export function interpolationFromString(str) {
     case 'clamped': return Interpolation.CLAMPED;
     case undefined: return Interpolation.UNDEFINED;
   }
-  throw Error(`Invalid value for interpolation: "${str}"!`);
+  throw parseError('invalid-attribute', `Invalid value for interpolation: "${str}"!`, tag);
 }
 
 export function readInterpolation(tag) {
-  return interpolationFromString(tag.attributes['interpolation']);
+  return interpolationFromString(tag.attributes['interpolation'], tag);
 }
 
 export function parseKeyframe(pulley, context) {
@@ -776,7 +834,7 @@ export function parseKeyframe(pulley, context) {
   checkAttribute(tag, 'time');
   const time = attrs['time'], active = attrs['active'];
   
-  const out = Keyframe.create(parseTime(time, canvas.fps),
+  const out = Keyframe.create(parseTime(time, canvas.fps, context, tag),
                               active !== 'false' && active !== '0',
                               pulley.nextText().text);
   pulley.expectName('keyframe', 'closetag');
@@ -808,7 +866,8 @@ export function parseMetaInto(pulley, context) {
 }
 
 
-export function parseTime(stamp, fps) {
+// The context and tag are only used to say where a bad timecode came from.
+export function parseTime(stamp, fps, context, tag) {
   fps = fps || 0;
   stamp = stamp.toLowerCase();
   
@@ -828,10 +887,10 @@ export function parseTime(stamp, fps) {
     if(pos >= stamp.length || !match) {
       if(amount !== 0) {
         if(fps) {
-          console.warn(`timecode "${stamp}": no unit provided; assuming frames`);
+          report(context, 'bad-timecode', `timecode "${stamp}": no unit provided; assuming frames`, tag);
           value += amount / fps;
         } else {
-          console.warn(`timecode "${stamp}": no unit provided, no FPS given; assuming seconds`);
+          report(context, 'bad-timecode', `timecode "${stamp}": no unit provided, no FPS given; assuming seconds`, tag);
           value += amount;
         }
       }
@@ -848,7 +907,7 @@ export function parseTime(stamp, fps) {
       if(fps)
         value += amount / fps;
       else
-        console.warn(`timecode "${stamp}": individual frames referenced, but FPS is unknown`);
+        report(context, 'bad-timecode', `timecode "${stamp}": individual frames referenced, but FPS is unknown`, tag);
     } else if(code == ':') {
       const parts = stamp.split(':');
       if(parts.length >= 3) {
@@ -862,14 +921,14 @@ export function parseTime(stamp, fps) {
           if(fps)
             value += (+parts[3] || 0) / fps;
           else
-            console.warn(`timecode "${stamp}": individual frames referenced, but FPS is unknown`);
+            report(context, 'bad-timecode', `timecode "${stamp}": individual frames referenced, but FPS is unknown`, tag);
         }
         return value;
       } else {
-        console.warn(`timecode "${stamp}": bad time format`);
+        report(context, 'bad-timecode', `timecode "${stamp}": bad time format`, tag);
       }
     } else {
-      console.warn(`timecode "${stamp}": unexpected unit code "${code}"; assuming seconds`);
+      report(context, 'bad-timecode', `timecode "${stamp}": unexpected unit code "${code}"; assuming seconds`, tag);
       value += amount;
     }
   }
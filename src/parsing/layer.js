@@ -1,9 +1,24 @@
-import { parseValueNode, parseValue, checkAttribute, readStatic } from './general.js';
+import { parseValueNode, checkAttribute, readStatic } from './general.js';
+import { resolveReference } from './external.js';
+import { parseError, report } from './diagnostics.js';
+import { parseOpaque } from './opaque.js';
+import * as Canvas from '../types/canvas.js';
+import * as Layer from '../types/layer.js';
+import * as Opaque from '../types/opaque.js';
+import * as Color from '../types/color.js';
+import * as Vector from '../types/vector.js';
+import * as Gradient from '../types/gradient.js';
+import * as Transformation from '../types/transformation.js';
+import * as WidthPoint from '../types/width_point.js';
+import * as ValueBase from '../types/value_base.js';
 import * as Version from '../version.js';
+import * as BlendMethod from '../blend_method.js';
+import * as BlurType from '../blur_type.js';
 
 import * as VNConst from '../value_nodes/const.js';
+import * as VNLinkable from '../value_nodes/linkable.js';
 
-import { invertObject } from '../utils.js';
+import { invertObject, deepCopy } from '../utils.js';
 
 
 const layers = {};
@@ -12,6 +27,7 @@ function register(name, factory, mapping, types) {
   const layer = {
     factory: factory,
     mapping: invertObject(mapping),
+    params: mapping,
     types: types
   };
   if(typeof name === 'string') {
@@ -24,17 +40,617 @@ function register(name, factory, mapping, types) {
   return layer;
 }
 
+// Each entry in `params` is [synfigName(s), type, defaultValue]. Parameters
+// without a default (mostly lists) are left unset until the file sets them.
+function registerParams(name, version, params) {
+  const canonicalName = typeof name === 'string' ? name : name[0];
+  const mapping = {}, types = {}, defaults = {};
+  for(let key in params) {
+    const param = params[key];
+    mapping[key] = param[0];
+    types[key] = param[1];
+    defaults[key] = param[2];
+  }
+  return register(name, (canvas) => {
+    const layer = Layer.create(canonicalName, version);
+    for(let key in defaults) {
+      if(defaults[key] !== undefined) {
+        layer[key] = VNConst.wrap(ValueBase.create(types[key], deepCopy(defaults[key])));
+      }
+    }
+    return layer;
+  }, mapping, types);
+}
+
+// Our parameter names mapped to Synfig's, for writing layers back out.
+export function layerParams(name) {
+  if(Object.hasOwnProperty.call(layers, name)) {
+    return {
+      params: layers[name].params,
+      types: layers[name].types
+    };
+  }
+}
+
+
+const LAYER_PARAMS = {
+  zDepth: ['z_depth', 'real', 0]
+};
+
+const COMPOSITE_PARAMS = Object.assign({}, LAYER_PARAMS, {
+  amount:      ['amount',       'real',    1],
+  blendMethod: ['blend_method', 'integer', BlendMethod.COMPOSITE]
+});
+
+const SHAPE_PARAMS = Object.assign({}, COMPOSITE_PARAMS, {
+  color:        ['color',         'color',   Color.black()],
+  origin:       ['origin',        'vector',  Vector.zero()],
+  invert:       ['invert',        'bool',    false],
+  antialias:    ['antialias',     'bool',    true],
+  feather:      ['feather',       'real',    0],
+  blurType:     ['blurtype',      'integer', BlurType.FASTGAUSSIAN],
+  windingStyle: ['winding_style', 'integer', 0] // non-zero
+});
+
+
+registerParams('circle', '0.2', Object.assign({}, SHAPE_PARAMS, {
+  radius: ['radius', 'real', 1]
+}));
+
+registerParams('rectangle', '0.2', Object.assign({}, SHAPE_PARAMS, {
+  point1:    ['point1',    'vector', Vector.zero()],
+  point2:    ['point2',    'vector', Vector.diagonal(1)],
+  expand:    ['expand',    'real',   0],
+  featherX:  ['feather_x', 'real',   0],
+  featherY:  ['feather_y', 'real',   0],
+  bevel:     ['bevel',     'real',   0],
+  bevCircle: ['bevCircle', 'bool',   true]
+}));
+
+registerParams('region', '0.1', Object.assign({}, SHAPE_PARAMS, {
+  bline: ['bline', 'list']
+}));
+
+registerParams('outline', '0.2', Object.assign({}, SHAPE_PARAMS, {
+  bline:       ['bline',                           'list'],
+  width:       ['width',                           'real', 1],
+  expand:      ['expand',                          'real', 0],
+  sharpCusps:  ['sharp_cusps',                     'bool', true],
+  roundTip0:   ['round_tip[0]',                    'bool', true],
+  roundTip1:   ['round_tip[1]',                    'bool', true],
+  homogeneous: [['homogeneous', 'homogeneous_width'], 'bool', false]
+}));
+
+registerParams('advanced_outline', '0.2', Object.assign({}, SHAPE_PARAMS, {
+  bline:       ['bline',        'list'],
+  wplist:      ['wplist',       'list'],
+  dilist:      ['dilist',       'list'],
+  width:       ['width',        'real',    1],
+  expand:      ['expand',       'real',    0],
+  startTip:    ['start_tip',    'integer', WidthPoint.SideType.ROUNDED],
+  endTip:      ['end_tip',      'integer', WidthPoint.SideType.ROUNDED],
+  cuspType:    ['cusp_type',    'integer', 0], // sharp
+  smoothness:  ['smoothness',   'real',    1],
+  homogeneous: ['homogeneous',  'bool',    false],
+  dashEnabled: ['dash_enabled', 'bool',    false],
+  dashOffset:  ['dash_offset',  'real',    0]
+}));
+
+registerParams('polygon', '0.1', Object.assign({}, SHAPE_PARAMS, {
+  vectorList: ['vector_list', 'list']
+}));
+
+registerParams('star', '0.1', Object.assign({}, SHAPE_PARAMS, {
+  radius1:        ['radius1',         'real',    1],
+  radius2:        ['radius2',         'real',    0.38],
+  points:         ['points',          'integer', 5],
+  angle:          ['angle',           'angle',   Math.PI / 2],
+  regularPolygon: ['regular_polygon', 'bool',    false]
+}));
+
+registerParams('checkerboard', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  color:     ['color',     'color',  Color.black()],
+  origin:    ['origin',    'vector', Vector.diagonal(0.125)],
+  size:      ['size',      'vector', Vector.diagonal(0.25)],
+  antialias: ['antialias', 'bool',   true]
+}));
+
+
+function defaultGradient() {
+  return Gradient.twoColor(Color.value(1), Color.black());
+}
+
+registerParams('linear_gradient', '0.0', Object.assign({}, COMPOSITE_PARAMS, {
+  p1:       ['p1',       'vector',   Vector.diagonal(-1)],
+  p2:       ['p2',       'vector',   Vector.diagonal(1)],
+  gradient: ['gradient', 'gradient', defaultGradient()],
+  loop:     ['loop',     'bool',     false],
+  zigzag:   ['zigzag',   'bool',     false]
+}));
+
+registerParams('radial_gradient', '0.0', Object.assign({}, COMPOSITE_PARAMS, {
+  gradient: ['gradient', 'gradient', defaultGradient()],
+  center:   ['center',   'vector',   Vector.zero()],
+  radius:   ['radius',   'real',     0.5],
+  loop:     ['loop',     'bool',     false],
+  zigzag:   ['zigzag',   'bool',     false]
+}));
+
+registerParams('conical_gradient', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  gradient:  ['gradient',  'gradient', defaultGradient()],
+  center:    ['center',    'vector',   Vector.zero()],
+  angle:     ['angle',     'angle',    0],
+  symmetric: ['symmetric', 'bool',     false]
+}));
+
+registerParams('spiral_gradient', '0.0', Object.assign({}, COMPOSITE_PARAMS, {
+  gradient:  ['gradient',  'gradient', defaultGradient()],
+  center:    ['center',    'vector',   Vector.zero()],
+  radius:    ['radius',    'real',     0.5],
+  angle:     ['angle',     'angle',    0],
+  clockwise: ['clockwise', 'bool',     false]
+}));
+
+registerParams('curve_gradient', '0.0', Object.assign({}, COMPOSITE_PARAMS, {
+  origin:        ['origin',        'vector',   Vector.zero()],
+  width:         ['width',         'real',     0.25],
+  bline:         ['bline',         'list'],
+  gradient:      ['gradient',      'gradient', defaultGradient()],
+  loop:          ['loop',          'bool',     false],
+  zigzag:        ['zigzag',        'bool',     false],
+  perpendicular: ['perpendicular', 'bool',     false],
+  fast:          ['fast',          'bool',     true]
+}));
+
+// Synfig seeds this one randomly when it's created, so there's no meaningful
+// default for "seed".
+registerParams('noise', '0.0', Object.assign({}, COMPOSITE_PARAMS, {
+  gradient:    ['gradient',     'gradient', defaultGradient()],
+  seed:        ['seed',         'integer'],
+  size:        ['size',         'vector',   Vector.diagonal(1)],
+  smooth:      ['smooth',       'integer',  2], // cosine
+  detail:      ['detail',       'integer',  4],
+  speed:       ['speed',        'real',     0],
+  turbulent:   ['turbulent',    'bool',     false],
+  doAlpha:     ['do_alpha',     'bool',     false],
+  superSample: ['super_sample', 'bool',     false]
+}));
+
+
+const PASTE_CANVAS_PARAMS = Object.assign({}, COMPOSITE_PARAMS, {
+  origin:         ['origin',           'vector',         Vector.zero()],
+  transformation: ['transformation',   'transformation', Transformation.create()],
+  canvas:         ['canvas',           'canvas'],
+  timeDilation:   ['time_dilation',    'real',           1],
+  timeOffset:     ['time_offset',      'time',           0],
+  childrenLock:   ['children_lock',    'bool',           true],
+  outlineGrow:    ['outline_grow',     'real',           0],
+  zRange:         ['z_range',          'bool',           false],
+  zRangePosition: ['z_range_position', 'real',           0],
+  zRangeDepth:    ['z_range_depth',    'real',           0],
+  zRangeBlur:     ['z_range_blur',     'real',           0]
+});
+
+// "zoom" and "focus" only exist in pre-1.0 PasteCanvases. They're folded into
+// "transformation" by upgradePasteCanvas, unless they're animated or linked.
+registerParams(['group', 'PasteCanvas', 'paste_canvas'], '0.3', Object.assign({}, PASTE_CANVAS_PARAMS, {
+  zoom:  ['zoom',  'real'],
+  focus: ['focus', 'vector']
+}));
+
+registerParams('switch', '0.0', Object.assign({}, PASTE_CANVAS_PARAMS, {
+  layerName:  ['layer_name',  'string',  ''],
+  layerDepth: ['layer_depth', 'integer', -1]
+}));
+
+registerParams('filter_group', '0.0', PASTE_CANVAS_PARAMS);
+
+registerParams('skeleton', '0.1', Object.assign({}, SHAPE_PARAMS, {
+  skeletonName: ['name',  'string', 'skeleton'],
+  bones:        ['bones', 'list']
+}));
+
+registerParams('skeleton_deformation', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  bones:         ['bones',          'list'],
+  point1:        ['point1',         'vector',  Vector.diagonal(-4)],
+  point2:        ['point2',         'vector',  Vector.diagonal(4)],
+  xSubdivisions: ['x_subdivisions', 'integer', 32],
+  ySubdivisions: ['y_subdivisions', 'integer', 32]
+}));
+
+registerParams('rotate', '0.1', Object.assign({}, LAYER_PARAMS, {
+  origin: ['origin', 'vector', Vector.zero()],
+  amount: ['amount', 'angle',  0]
+}));
+
+registerParams('translate', '0.1', Object.assign({}, LAYER_PARAMS, {
+  origin: ['origin', 'vector', Vector.zero()]
+}));
+
+registerParams('zoom', '0.1', Object.assign({}, LAYER_PARAMS, {
+  amount: ['amount', 'real',   0],
+  center: ['center', 'vector', Vector.zero()]
+}));
+
+registerParams('stretch', '0.1', Object.assign({}, LAYER_PARAMS, {
+  amount: ['amount', 'vector', Vector.diagonal(1)],
+  center: ['center', 'vector', Vector.zero()]
+}));
+
+registerParams('twirl', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  center:         ['center',          'vector', Vector.zero()],
+  radius:         ['radius',          'real',   1],
+  rotations:      ['rotations',       'angle',  0],
+  distortInside:  ['distort_inside',  'bool',   true],
+  distortOutside: ['distort_outside', 'bool',   false]
+}));
+
+registerParams('warp', '0.1', Object.assign({}, LAYER_PARAMS, {
+  srcTL:   ['src_tl',  'vector', Vector.at(-2, 2)],
+  srcBR:   ['src_br',  'vector', Vector.at(2, -2)],
+  destTL:  ['dest_tl', 'vector', Vector.at(-1.8, 2.1)],
+  destTR:  ['dest_tr', 'vector', Vector.at(1.8, 2.1)],
+  destBR:  ['dest_br', 'vector', Vector.at(1.8, -2.1)],
+  destBL:  ['dest_bl', 'vector', Vector.at(-1.8, -2.1)],
+  clip:    ['clip',    'bool',   true],
+  horizon: ['horizon', 'real',   4]
+}));
+
+registerParams('inside_out', '0.1', Object.assign({}, LAYER_PARAMS, {
+  origin: ['origin', 'vector', Vector.zero()]
+}));
+
+registerParams('noise_distort', '0.0', Object.assign({}, COMPOSITE_PARAMS, {
+  displacement: ['displacement', 'vector',  Vector.diagonal(0.25)],
+  size:         ['size',         'vector',  Vector.diagonal(1)],
+  seed:         ['seed',         'integer'],
+  smooth:       ['smooth',       'integer', 2], // cosine
+  detail:       ['detail',       'integer', 4],
+  speed:        ['speed',        'real',    0],
+  turbulent:    ['turbulent',    'bool',    false]
+}));
+
+registerParams('spherize', '0.2', Object.assign({}, LAYER_PARAMS, {
+  center: ['center', 'vector',  Vector.zero()],
+  radius: ['radius', 'real',    1],
+  amount: ['amount', 'real',    1],
+  clip:   ['clip',   'bool',    false],
+  type:   ['type',   'integer', 0] // normal
+}));
+
+registerParams('curve_warp', '0.1', Object.assign({}, LAYER_PARAMS, {
+  origin:     ['origin',      'vector', Vector.zero()],
+  perpWidth:  ['perp_width',  'real',   1],
+  startPoint: ['start_point', 'vector', Vector.at(-2.5, -0.5)],
+  endPoint:   ['end_point',   'vector', Vector.at(2.5, -0.3)],
+  bline:      ['bline',       'list'],
+  fast:       ['fast',        'bool',   true]
+}));
+
+
+registerParams('blur', '0.2', Object.assign({}, COMPOSITE_PARAMS, {
+  blendMethod: ['blend_method', 'integer', BlendMethod.STRAIGHT],
+  size:        ['size',         'vector',  Vector.diagonal(0.1)],
+  type:        ['type',         'integer', BlurType.FASTGAUSSIAN]
+}));
+
+registerParams('motion_blur', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  aperture:          ['aperture',           'time',    1],
+  subsamplesFactor:  ['subsamples_factor',  'real',    1],
+  subsamplingType:   ['subsampling_type',   'integer', 2], // hyperbolic
+  subsampleStart:    ['subsample_start',    'real',    0],
+  subsampleEnd:      ['subsample_end',      'real',    1]
+}));
+
+registerParams('radial_blur', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  blendMethod: ['blend_method', 'integer', BlendMethod.STRAIGHT],
+  origin:      ['origin',       'vector',  Vector.zero()],
+  size:        ['size',         'real',    0.2],
+  fadeOut:     ['fade_out',     'bool',    false]
+}));
+
+registerParams(['colorcorrect', 'color_correct'], '0.1', Object.assign({}, LAYER_PARAMS, {
+  hueAdjust:  ['hue_adjust', 'angle', 0],
+  brightness: ['brightness', 'real',  0],
+  contrast:   ['contrast',   'real',  1],
+  exposure:   ['exposure',   'real',  0],
+  gamma:      ['gamma',      'real',  1]
+}));
+
+registerParams('clamp', '0.2', Object.assign({}, LAYER_PARAMS, {
+  invertNegative: ['invert_negative', 'bool', false],
+  clampCeiling:   ['clamp_ceiling',   'bool', true],
+  ceiling:        ['ceiling',         'real', 1],
+  floor:          ['floor',           'real', 0]
+}));
+
+registerParams('luma_key', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  blendMethod: ['blend_method', 'integer', BlendMethod.STRAIGHT]
+}));
+
+registerParams('chroma_key', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  keyColor:          ['key_color',          'color',   Color.rgb(0, 1, 0)],
+  lowerBound:        ['lower_bound',        'real',    0.001],
+  upperBound:        ['upper_bound',        'real',    0.01],
+  supersampleWidth:  ['supersample_width',  'integer', 1],
+  supersampleHeight: ['supersample_height', 'integer', 1],
+  invert:            ['invert',             'bool',    false],
+  desaturate:        ['desaturate',         'bool',    false]
+}));
+
+registerParams('halftone2', '0.0', Object.assign({}, COMPOSITE_PARAMS, {
+  origin:     ['origin',      'vector',  Vector.zero()],
+  angle:      ['angle',       'angle',   0],
+  size:       ['size',        'vector',  Vector.diagonal(0.1)],
+  type:       ['type',        'integer', 0], // symmetric
+  colorLight: ['color_light', 'color',   Color.value(1)],
+  colorDark:  ['color_dark',  'color',   Color.black()]
+}));
+
+registerParams('halftone3', '0.0', Object.assign({}, COMPOSITE_PARAMS, {
+  size:         ['size',           'vector',  Vector.diagonal(0.1)],
+  type:         ['type',           'integer', 0], // symmetric
+  subtractive:  ['subtractive',    'bool',    true],
+  color0:       ['color[0]',       'color',   Color.rgb(0, 1, 1)],
+  color1:       ['color[1]',       'color',   Color.rgb(1, 0, 1)],
+  color2:       ['color[2]',       'color',   Color.rgb(1, 1, 0)],
+  tone0Origin:  ['tone[0].origin', 'vector',  Vector.zero()],
+  tone1Origin:  ['tone[1].origin', 'vector',  Vector.zero()],
+  tone2Origin:  ['tone[2].origin', 'vector',  Vector.zero()],
+  tone0Angle:   ['tone[0].angle',  'angle',   0],
+  tone1Angle:   ['tone[1].angle',  'angle',   Math.PI / 6],
+  tone2Angle:   ['tone[2].angle',  'angle',   Math.PI / 3]
+}));
+
+registerParams('shade', '0.2', Object.assign({}, COMPOSITE_PARAMS, {
+  blendMethod: ['blend_method', 'integer', BlendMethod.BEHIND],
+  color:       ['color',        'color',   Color.black()],
+  origin:      ['origin',       'vector',  Vector.at(0.2, -0.2)],
+  size:        ['size',         'vector',  Vector.diagonal(0.1)],
+  type:        ['type',         'integer', BlurType.FASTGAUSSIAN],
+  invert:      ['invert',       'bool',    false]
+}));
+
+registerParams('bevel', '0.2', Object.assign({}, COMPOSITE_PARAMS, {
+  blendMethod: ['blend_method', 'integer', BlendMethod.ONTO],
+  type:        ['type',         'integer', BlurType.FASTGAUSSIAN],
+  color1:      ['color1',       'color',   Color.value(1)],
+  color2:      ['color2',       'color',   Color.black()],
+  angle:       ['angle',        'angle',   Math.PI * 3 / 4],
+  depth:       ['depth',        'real',    0.2],
+  softness:    ['softness',     'real',    0.1],
+  useLuma:     ['use_luma',     'bool',    false],
+  solid:       ['solid',        'bool',    false]
+}));
+
+registerParams('metaballs', '0.2', Object.assign({}, COMPOSITE_PARAMS, {
+  gradient:   ['gradient',   'gradient', Gradient.twoColor(Color.black(), Color.value(1))],
+  centers:    ['centers',    'list'],
+  radii:      ['radii',      'list'],
+  weights:    ['weights',    'list'],
+  threshold:  ['threshold',  'real',     0],
+  threshold2: ['threshold2', 'real',     1],
+  positive:   ['positive',   'bool',     false]
+}));
+
+
+registerParams('timeloop', '0.2', Object.assign({}, LAYER_PARAMS, {
+  linkTime:                ['link_time',                  'time', 0],
+  localTime:               ['local_time',                 'time', 0],
+  duration:                ['duration',                   'time', 1],
+  onlyForPositiveDuration: ['only_for_positive_duration', 'bool', false],
+  symmetrical:             ['symmetrical',                'bool', true]
+}));
+
+registerParams('freetime', '0.1', Object.assign({}, LAYER_PARAMS, {
+  time: ['time', 'time', 0]
+}));
+
+registerParams('stroboscope', '0.1', Object.assign({}, LAYER_PARAMS, {
+  frequency: ['frequency', 'real', 2]
+}));
+
+registerParams('duplicate', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  index: ['index', 'real']
+}));
+
+registerParams('text', '0.2', Object.assign({}, COMPOSITE_PARAMS, {
+  text:       ['text',        'string',  'Text Layer'],
+  color:      ['color',       'color',   Color.black()],
+  family:     ['family',      'string',  'Sans Serif'],
+  style:      ['style',       'integer', 0], // normal
+  weight:     ['weight',      'integer', 400],
+  compress:   ['compress',    'real',    1],
+  vcompress:  ['vcompress',   'real',    1],
+  size:       ['size',        'vector',  Vector.diagonal(0.25)],
+  orient:     ['orient',      'vector',  Vector.diagonal(0.5)],
+  origin:     ['origin',      'vector',  Vector.zero()],
+  font:       ['font',        'string',  ''],
+  useKerning: ['use_kerning', 'bool',    true],
+  gridFit:    ['grid_fit',    'bool',    false],
+  invert:     ['invert',      'bool',    false]
+}));
+
+registerParams(['import', 'Import'], '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  filename:    ['filename',     'string',  ''],
+  timeOffset:  ['time_offset',  'time',    0],
+  tl:          ['tl',           'vector',  Vector.at(-1, 1)],
+  br:          ['br',           'vector',  Vector.at(1, -1)],
+  c:           ['c',            'integer', 1], // cubic
+  gammaAdjust: ['gamma_adjust', 'real',    1]
+}));
+
+registerParams('sound', '0.1', Object.assign({}, LAYER_PARAMS, {
+  filename: ['filename', 'string', ''],
+  delay:    ['delay',    'time',   0],
+  volume:   ['volume',   'real',   1]
+}));
+
+registerParams('plant', '0.2', Object.assign({}, COMPOSITE_PARAMS, {
+  bline:        ['bline',         'list'],
+  origin:       ['origin',        'vector',   Vector.zero()],
+  gradient:     ['gradient',      'gradient', defaultGradient()],
+  splitAngle:   ['split_angle',   'angle',    Math.PI / 18],
+  gravity:      ['gravity',       'vector',   Vector.at(0, -0.1)],
+  velocity:     ['velocity',      'real',     0.3],
+  perpVelocity: ['perp_velocity', 'real',     0],
+  step:         ['step',          'real',     0.01],
+  seed:         ['seed',          'integer'],
+  splits:       ['splits',        'integer',  5],
+  sprouts:      ['sprouts',       'integer',  10],
+  randomFactor: ['random_factor', 'real',     0.2],
+  drag:         ['drag',          'real',     0.1],
+  size:         ['size',          'real',     0.015],
+  sizeAsAlpha:  ['size_as_alpha', 'bool',     false],
+  reverse:      ['reverse',       'bool',     true]
+}));
+
+registerParams('xor_pattern', '0.1', Object.assign({}, COMPOSITE_PARAMS, {
+  origin: ['origin', 'vector', Vector.zero()],
+  size:   ['size',   'vector', Vector.diagonal(0.25)]
+}));
+
+registerParams('mandelbrot', '0.1', Object.assign({}, LAYER_PARAMS, {
+  iterations:            ['iterations',              'integer',  32],
+  bailout:               ['bailout',                 'real',     2],
+  broken:                ['broken',                  'bool',     false],
+  distortInside:         ['distort_inside',          'bool',     true],
+  shadeInside:           ['shade_inside',            'bool',     true],
+  solidInside:           ['solid_inside',            'bool',     false],
+  invertInside:          ['invert_inside',           'bool',     false],
+  gradientInside:        ['gradient_inside',         'gradient', defaultGradient()],
+  gradientOffsetInside:  ['gradient_offset_inside',  'real',     0],
+  gradientLoopInside:    ['gradient_loop_inside',    'bool',     true],
+  distortOutside:        ['distort_outside',         'bool',     true],
+  shadeOutside:          ['shade_outside',           'bool',     true],
+  solidOutside:          ['solid_outside',           'bool',     false],
+  invertOutside:         ['invert_outside',          'bool',     false],
+  gradientOutside:       ['gradient_outside',        'gradient', defaultGradient()],
+  smoothOutside:         ['smooth_outside',          'bool',     true],
+  gradientOffsetOutside: ['gradient_offset_outside', 'real',     0],
+  gradientScaleOutside:  ['gradient_scale_outside',  'real',     1]
+}));
+
+registerParams('julia', '0.1', Object.assign({}, LAYER_PARAMS, {
+  icolor:         ['icolor',          'color',   Color.black()],
+  ocolor:         ['ocolor',          'color',   Color.black()],
+  colorShift:     ['color_shift',     'angle',   0],
+  iterations:     ['iterations',      'integer', 32],
+  seed:           ['seed',            'vector',  Vector.zero()],
+  bailout:        ['bailout',         'real',    2],
+  distortInside:  ['distort_inside',  'bool',    true],
+  distortOutside: ['distort_outside', 'bool',    true],
+  shadeInside:    ['shade_inside',    'bool',    true],
+  shadeOutside:   ['shade_outside',   'bool',    true],
+  solidInside:    ['solid_inside',    'bool',    false],
+  solidOutside:   ['solid_outside',   'bool',    false],
+  invertInside:   ['invert_inside',   'bool',    false],
+  invertOutside:  ['invert_outside',  'bool',    false],
+  colorInside:    ['color_inside',    'bool',    true],
+  colorOutside:   ['color_outside',   'bool',    false],
+  colorCycle:     ['color_cycle',     'bool',    false],
+  smoothOutside:  ['smooth_outside',  'bool',    true],
+  broken:         ['broken',          'bool',    false]
+}));
+
+
+function isConstant(node) {
+  return !node || node.name === 'constant';
+}
+
+// Shared sizes are left alone: amplifying means swapping in a new node, and
+// whatever else uses the old one would lose track of it. Those layers are
+// marked, so their size is written back as it is.
+function amplifyBlurSize(layer, context, tag, shared) {
+  const size = layer.size, type = layer.type;
+  if(!isConstant(size) || !isConstant(type) || shared.has('size')) {
+    report(context, 'not-upgraded', "Blur layer has linked or shared size or type. Its size won't be amplified.", tag);
+    layer.unamplifiedSize = true;
+    return;
+  }
+  
+  const amplifier = BlurType.sizeAmplifier(type.data.data);
+  if(amplifier !== 1) {
+    const vec = size.data.data;
+    layer.size = VNConst.wrap(ValueBase.create('vector',
+      Vector.at(vec.x * amplifier, vec.y * amplifier), size.data.static));
+  }
+}
+
+// Synfig drives every duplicate layer's "index" with a <duplicate> node that
+// it exports as "Index 1", "Index 2" and so on. If a file doesn't have one,
+// make it the way Synfig would. Something else that's linked or shared is
+// kept, and so is anything at all when lenient.
+function linkDuplicateIndex(layer, context, tag, shared) {
+  const canvas = context.canvas, index = layer.index;
+  if(index && index.name === 'duplicate') {
+    return;
+  }
+  if(index && (context.lenient || shared.has('index'))) {
+    report(context, 'invalid-value', "Duplicate layer's index isn't a <duplicate> node. Keeping it anyway.", tag);
+    return;
+  }
+  if(index) {
+    report(context, 'invalid-value', "Duplicate layer's index isn't a <duplicate> node. Replacing it.", tag);
+  }
+  
+  const node = VNLinkable.create('duplicate', 'real');
+  node.from = VNConst.wrap(ValueBase.create('real', 3));
+  node.to = VNConst.wrap(ValueBase.create('real', 1));
+  node.step = VNConst.wrap(ValueBase.create('real', -1));
+  
+  let i = 1;
+  while(Canvas.findValueNode(canvas, `Index ${i}`)) {
+    ++i;
+  }
+  Canvas.addValueNode(canvas, node, `Index ${i}`);
+  layer.index = node;
+}
+
+// Old PasteCanvases placed their contents at (p - focus) * e^zoom + focus + origin.
+// That's the same thing as a transformation with a uniform scale of e^zoom,
+// as long as none of those parameters are animated. If any are, they're left
+// as they were, and so is the layer's version, so it's still an old
+// PasteCanvas when it's written back.
+function upgradePasteCanvas(layer, context, tag) {
+  const origin = layer.origin, zoom = layer.zoom, focus = layer.focus;
+  if(!isConstant(origin) || !isConstant(zoom) || !isConstant(focus)) {
+    report(context, 'not-upgraded', "Old PasteCanvas has linked origin, zoom or focus. Its transformation won't be upgraded.", tag);
+    layer.version = '0.1';
+    return;
+  }
+  
+  delete layer.zoom;
+  delete layer.focus;
+  
+  const scale = Math.exp(zoom ? zoom.data.data : 0);
+  const o = origin.data.data, f = focus ? focus.data.data : Vector.zero();
+  const offset = Vector.at(o.x + f.x * (1 - scale), o.y + f.y * (1 - scale));
+  layer.transformation = VNConst.wrap(ValueBase.create('transformation',
+    Transformation.create(offset, 0, 0, Vector.diagonal(scale))));
+  layer.origin = VNConst.wrap(ValueBase.create('vector', Vector.zero()));
+}
+
 
 export function parseLayer(pulley, context) {
   const tag = pulley.checkName('layer'), attrs = tag.attributes, name = attrs['type'];
+  checkAttribute(tag, 'type');
   if(!Object.hasOwnProperty.call(layers, name)) {
+    if(context.lenient) {
+      report(context, 'unknown-layer', `Unknown layer type "${name}". Keeping it as is.`, tag);
+      return Opaque.create(parseOpaque(pulley));
+    }
+    report(context, 'unknown-layer', `Unknown layer type "${name}". Skipping.`, tag);
+    pulley.skipTag();
     return;
   }
-  checkAttribute(tag, 'type');
   const canvas = context.canvas, onParsingDone = context.onParsingDone;
   
   const config = layers[name], mapping = config.mapping, types = config.types;
   const layer = config.factory(canvas);
+  // Parameters whose nodes might be used elsewhere too: exported ones, and ones
+  // with GUIDs.
+  const shared = new Set();
   
   if(attrs['group']) {
     layer.group = attrs['group'];
@@ -42,8 +658,8 @@ export function parseLayer(pulley, context) {
   const currentVersion = layer.version;
   if(attrs['version']) {
     const version = attrs['version'];
-    if(currentVersion && version > currentVersion) { // string comparison? why?
-      console.warn(`"${name}" layer version ${version} is greater than installed ${currentVersion}.`);
+    if(currentVersion && Version.greater(version, currentVersion)) {
+      report(context, 'newer-version', `"${name}" layer version ${version} is greater than installed ${currentVersion}.`, tag);
     }
     layer.version = version;
   }
@@ -57,52 +673,86 @@ export function parseLayer(pulley, context) {
     layer.excludeFromRendering = attrs['exclude_from_rendering'] !== 'false';
   }
   
-  // TODO: Make old PasteCanvases work. What a fun and not at all pointless prospect!
+  // Groups can only be that old if they're PasteCanvases that were written
+  // back without being upgraded.
+  if((name === 'PasteCanvas' || name === 'paste_canvas' || name === 'group') &&
+        !Version.greater(attrs['version'], '0.1')) {
+    onParsingDone(() => {
+      if(name !== 'group' || layer.zoom || layer.focus) {
+        upgradePasteCanvas(layer, context, tag);
+      }
+    });
+  }
   
   pulley.loopTag((pulley) => {
     const tag = pulley.check('opentag');
     if(tag.name === 'name' || tag.name === 'desc') {
-      console.warn(`<${tag.name}> entries for layers don't exist. Skipping.`);
+      report(context, 'ignored-element', `<${tag.name}> entries for layers don't exist. Skipping.`, tag);
       pulley.skipTag();
     } else if(tag.name === 'param') {
       checkAttribute(tag, 'name');
       const attrs = tag.attributes;
-      let name = attrs['name'];
-      if(name === 'pos' || name === 'offset') {
-        name = 'origin'; // Come on, what is this? Netscape?
+      let paramName = attrs['name'];
+      if((paramName === 'pos' || paramName === 'offset') &&
+            !Object.hasOwnProperty.call(mapping, paramName)) {
+        paramName = 'origin'; // Come on, what is this? Netscape?
+      }
+      if(attrs['use'] && paramName === 'segment_list' &&
+            (layer.name === 'region' || layer.name === 'outline')) {
+        paramName = 'bline'; // I couldn't guess why this is only corrected when it's "use"d.
       }
-      name = mapping[name];
-      const type = types[name];
+      if(!Object.hasOwnProperty.call(mapping, paramName)) {
+        if(context.lenient) {
+          report(context, 'unknown-param', `"${layer.name}" layer has no parameter "${paramName}". Keeping it as is.`, tag);
+          Opaque.keep(layer, parseOpaque(pulley));
+          return;
+        }
+        report(context, 'unknown-param', `"${layer.name}" layer has no parameter "${paramName}". Skipping.`, tag);
+        pulley.skipTag();
+        return;
+      }
+      const name = mapping[paramName], type = types[name];
       
       if(attrs['use']) {
-        const id = attrs['use'];
-        // TODO: if the ID references an external canvas, make sure it's loaded.
+        shared.add(name);
+        const ref = resolveReference(context, attrs['use'], tag);
         if(type === 'canvas') {
           const isStatic = readStatic(tag);
           onParsingDone(() => {
-            layer[name] = VNConst.wrap(ValueBase.create('canvas', Canvas.findCanvas(canvas, id), isStatic));
+            layer[name] = VNConst.wrap(ValueBase.create('canvas', Canvas.findCanvas(ref.canvas, ref.id), isStatic));
           });
         } else {
-          if(name === 'segment_list' && (layer.name === 'region' || layer.name === 'outline')) {
-            name = 'bline'; // I couldn't guess why this is only corrected when it's "use"d.
-          }
           onParsingDone(() => {
-            layer[name] = Canvas.findValueNode(canvas, id);
+            layer[name] = Canvas.findValueNode(ref.canvas, ref.id);
           });
         }
         pulley.skipTag();
       } else {
         pulley.expectName('param');
-        const value = parseValue(pulley, context);
-        layer[name] = value ? VNConst.wrap(value) : parseValueNode(pulley, context);
+        if(pulley.check('opentag').attributes['guid']) {
+          shared.add(name);
+        }
+        layer[name] = parseValueNode(pulley, context);
         pulley.expectName('param', 'closetag');
       }
+    } else if(context.lenient) {
+      report(context, 'unexpected-element', `Unexpected element in <layer>: <${tag.name}>. Keeping it as is.`, tag);
+      Opaque.keep(layer, parseOpaque(pulley));
     } else {
-      throw Error(`Unexpected element in <layer>: <${tag.name}>!`);
+      throw parseError('unexpected-element', `Unexpected element in <layer>: <${tag.name}>!`, tag);
     }
   }, 'layer');
   
-  // TODO: add amplifiers for blur
+  if(layer.name === 'duplicate') {
+    onParsingDone(() => {
+      linkDuplicateIndex(layer, context, tag, shared);
+    });
+  }
+  if(layer.name === 'blur') {
+    onParsingDone(() => {
+      amplifyBlurSize(layer, context, tag, shared);
+    });
+  }
   
   layer.version = currentVersion;
   
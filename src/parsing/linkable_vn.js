@@ -1,8 +1,12 @@
 import { parseValueNode, checkAttribute } from './general.js';
+import { resolveReference } from './external.js';
+import { parseError, report } from './diagnostics.js';
+import { parseOpaque } from './opaque.js';
 import * as Canvas from '../types/canvas.js';
-import * as ValueBase from '../types/value_base.js';
-import * as VNConst from '../value_nodes/const.js';
+import * as Opaque from '../types/opaque.js';
 import * as Version from '../version.js';
+import * as VNLinkable from '../value_nodes/linkable.js';
+import * as VNBone from '../value_nodes/bone.js';
 
 import { invertObject } from '../utils.js';
 
@@ -12,7 +16,8 @@ const linkableValueNodes = {};
 function register(name, factory, mapping) {
   const linkableValueNode = {
     factory: factory,
-    mapping: invertObject(mapping)
+    mapping: invertObject(mapping),
+    links: mapping
   };
   if(typeof name === 'string') {
     linkableValueNodes[name] = linkableValueNode;
@@ -24,8 +29,447 @@ function register(name, factory, mapping) {
   return linkableValueNode;
 }
 
+// `links` maps our property names to Synfig's link names, like `register`'s
+// mapping. If `name` is a list of aliases, nodes get the first one.
+function registerLinks(name, links) {
+  const canonicalName = typeof name === 'string' ? name : name[0];
+  return register(name, (type, canvas) => VNLinkable.create(canonicalName, type), links);
+}
+
+// For nodes that only ever produce strings, whatever their type attribute says.
+function registerStringLinks(name, links) {
+  const canonicalName = typeof name === 'string' ? name : name[0];
+  return register(name, (type, canvas, context, tag) => {
+    if(type !== 'string') {
+      report(context, 'type-mismatch', `<${canonicalName}> produces strings, not "${type}". Treating it as a string.`, tag);
+    }
+    return VNLinkable.create(canonicalName, 'string');
+  }, links);
+}
+
+// For nodes whose link names depend on their type, like <composite>.
+function registerTypedLinks(name, linksByType) {
+  const linkableValueNode = registerLinks(name, {});
+  const typeMappings = linkableValueNode.typeMappings = {};
+  linkableValueNode.typeLinks = linksByType;
+  for(let type in linksByType) {
+    typeMappings[type] = invertObject(linksByType[type]);
+  }
+  return linkableValueNode;
+}
+
+// Our link names mapped to Synfig's, for writing nodes back out.
+export function linkableLinks(name, type) {
+  if(!Object.hasOwnProperty.call(linkableValueNodes, name)) {
+    return;
+  }
+  const lvn = linkableValueNodes[name];
+  if(lvn.typeLinks) {
+    return lvn.typeLinks[type.indexOf('weighted_') === 0 ? 'weighted' : type];
+  }
+  return lvn.links;
+}
+
+
+registerLinks('duplicate', {
+  from: 'from',
+  to: 'to',
+  step: 'step'
+});
+
+registerLinks('add', {
+  lhs: 'lhs',
+  rhs: 'rhs',
+  scalar: 'scalar'
+});
+
+registerLinks('subtract', {
+  lhs: 'lhs',
+  rhs: 'rhs',
+  scalar: 'scalar'
+});
+
+registerLinks('scale', {
+  link: 'link',
+  scalar: 'scalar'
+});
+
+registerLinks('range', {
+  min: 'min',
+  max: 'max',
+  link: 'link'
+});
+
+registerLinks('exp', {
+  exp: 'exp',
+  scale: 'scale'
+});
+
+registerLinks('pow', {
+  base: 'base',
+  power: 'power',
+  epsilon: 'epsilon',
+  infinite: 'infinite'
+});
+
+registerLinks('reciprocal', {
+  link: 'link',
+  epsilon: 'epsilon',
+  infinite: 'infinite'
+});
+
+// Synfig calls these "fromint" and "fromreal"; the short names would be
+// mistaken for plain values if they didn't have a type attribute.
+registerLinks(['fromint', 'integer'], {
+  integer: 'integer'
+});
+
+registerLinks(['fromreal', 'real'], {
+  link: 'link'
+});
+
+registerLinks('step', {
+  link: 'link',
+  duration: 'duration',
+  startTime: 'start_time',
+  intersection: 'intersection'
+});
+
+registerLinks('blinecalcvertex', {
+  bline: 'bline',
+  loop: 'loop',
+  amount: 'amount',
+  homogeneous: 'homogeneous'
+});
+
+registerLinks('blinecalctangent', {
+  bline: 'bline',
+  loop: 'loop',
+  amount: 'amount',
+  offset: 'offset',
+  scale: 'scale',
+  fixedLength: 'fixed_length',
+  homogeneous: 'homogeneous'
+});
+
+registerLinks('blinecalcwidth', {
+  bline: 'bline',
+  loop: 'loop',
+  amount: 'amount',
+  scale: 'scale',
+  homogeneous: 'homogeneous'
+});
+
+registerLinks('blinereversetangent', {
+  reference: 'reference',
+  reverse: 'reverse'
+});
+
+registerLinks('segcalcvertex', {
+  segment: 'segment',
+  amount: 'amount'
+});
+
+registerLinks('segcalctangent', {
+  segment: 'segment',
+  amount: 'amount'
+});
+
+registerLinks('dotproduct', {
+  lhs: 'lhs',
+  rhs: 'rhs'
+});
+
+registerLinks('vectorlength', {
+  vector: 'vector'
+});
+
+registerLinks('vectorangle', {
+  vector: 'vector'
+});
+
+registerLinks('vectorx', {
+  vector: 'vector'
+});
+
+registerLinks('vectory', {
+  vector: 'vector'
+});
+
+registerLinks('cos', {
+  angle: 'angle',
+  amp: 'amp'
+});
+
+registerLinks('sin', {
+  angle: 'angle',
+  amp: 'amp'
+});
+
+registerLinks('atan2', {
+  x: 'x',
+  y: 'y'
+});
+
+registerLinks('timeloop', {
+  link: 'link',
+  linkTime: 'link_time',
+  localTime: 'local_time',
+  duration: 'duration'
+});
+
+registerLinks('timed_swap', {
+  before: 'before',
+  after: 'after',
+  time: 'time',
+  length: 'length'
+});
+
+registerLinks('linear', {
+  slope: ['slope', 'rate'],
+  offset: 'offset'
+});
+
+registerLinks('switch', {
+  linkOff: 'link_off',
+  linkOn: 'link_on',
+  switch: 'switch'
+});
+
+registerLinks('reference', {
+  link: 'link'
+});
+
+registerLinks('reverse', {
+  link: 'link'
+});
+
+registerLinks('and', {
+  link1: 'link1',
+  link2: 'link2'
+});
 
-export function parseLinkableValueNode(pulley, context) {
+registerLinks('or', {
+  link1: 'link1',
+  link2: 'link2'
+});
+
+registerLinks('logical', {
+  link1: 'link1',
+  link2: 'link2'
+});
+
+registerLinks('not', {
+  link: 'link'
+});
+
+registerLinks('greater', {
+  lhs: 'lhs',
+  rhs: 'rhs',
+  orEqual: 'or_equal'
+});
+
+registerLinks('less', {
+  lhs: 'lhs',
+  rhs: 'rhs',
+  orEqual: 'or_equal'
+});
+
+registerLinks('equal', {
+  lhs: 'lhs',
+  rhs: 'rhs',
+  precision: 'precision'
+});
+
+registerLinks('compare', {
+  lhs: 'lhs',
+  rhs: 'rhs',
+  greater: 'greater',
+  equal: 'equal',
+  less: 'less'
+});
+
+registerLinks('stripes', {
+  color1: 'color1',
+  color2: 'color2',
+  steps: 'steps',
+  width: 'width'
+});
+
+registerLinks('twotone', {
+  color1: 'color1',
+  color2: 'color2'
+});
+
+registerLinks('gradientrotate', {
+  gradient: 'gradient',
+  offset: 'offset'
+});
+
+registerLinks('gradientcolor', {
+  gradient: 'gradient',
+  index: 'index',
+  loop: 'loop'
+});
+
+registerStringLinks('realstring', {
+  real: 'real',
+  width: 'width',
+  precision: 'precision',
+  zeroPad: 'zero_pad'
+});
+
+registerStringLinks('timestring', {
+  time: 'time'
+});
+
+registerStringLinks('intstring', {
+  int: 'int',
+  width: 'width',
+  zeroPad: 'zero_pad'
+});
+
+registerStringLinks('anglestring', {
+  angle: 'angle',
+  width: 'width',
+  precision: 'precision',
+  zeroPad: 'zero_pad'
+});
+
+registerStringLinks(['joinstrings', 'join'], {
+  strings: 'strings',
+  before: 'before',
+  separator: 'separator',
+  after: 'after'
+});
+
+registerStringLinks('compose', {
+  format: 'format',
+  strings: 'strings'
+});
+
+register('bone', (type, canvas) => VNBone.create(), {
+  boneName: 'name',
+  parent: 'parent',
+  origin: 'origin',
+  angle: 'angle',
+  localLengthScale: 'local_length_scale',
+  width: 'width',
+  scalelx: 'scalelx',
+  tipWidth: 'tipwidth',
+  depth: 'bone_depth',
+  length: 'length'
+});
+
+registerLinks('bone_link', {
+  bone: 'bone',
+  baseValue: 'base_value',
+  translate: 'translate',
+  rotate: 'rotate',
+  skew: 'skew',
+  scaleX: 'scale_x',
+  scaleY: 'scale_y'
+});
+
+registerLinks('bone_influence', {
+  boneWeightList: 'bone_weight_list',
+  link: 'link'
+});
+
+registerLinks('bone_weight_pair', {
+  bone: 'bone',
+  weight: 'weight'
+});
+
+// The property names match the fields of the types being composed, so a
+// composite can be evaluated into the same shape as a parsed value.
+const composite = registerTypedLinks('composite', {
+  vector: {
+    x: 'x',
+    y: 'y'
+  },
+  color: {
+    r: ['red', 'r'],
+    g: ['green', 'g'],
+    b: ['blue', 'b'],
+    a: ['alpha', 'a']
+  },
+  segment: {
+    point1: 'p1',
+    tangent1: 't1',
+    point2: 'p2',
+    tangent2: 't2'
+  },
+  bline_point: {
+    vertex: ['point', 'p1', 'v1'],
+    width: ['width', 'w'],
+    origin: ['origin', 'o'],
+    split: 'split',
+    tangent1: 't1',
+    tangent2: 't2',
+    splitRadius: 'split_radius',
+    splitAngle: 'split_angle'
+  },
+  transformation: {
+    offset: 'offset',
+    angle: 'angle',
+    skew: 'skew_angle',
+    scale: 'scale'
+  },
+  width_point: {
+    position: 'position',
+    width: 'width',
+    sideBefore: 'side_before',
+    sideAfter: 'side_after',
+    lowerBound: 'lower_bound',
+    upperBound: 'upper_bound'
+  },
+  dash_item: {
+    offset: 'offset',
+    length: 'length',
+    sideBefore: 'side_before',
+    sideAfter: 'side_after'
+  },
+  weighted: {
+    weight: 'weight',
+    value: 'value'
+  }
+});
+
+
+const radialComposite = registerTypedLinks('radial_composite', {
+  vector: {
+    radius: 'radius',
+    theta: 'theta'
+  },
+  color: {
+    luma: 'y_luma',
+    saturation: 'saturation',
+    hue: 'hue',
+    alpha: 'alpha'
+  }
+});
+
+// Files from 1.2 on store colors with the root canvas's gamma applied, and
+// that goes for what composite colors are made of too. Those nodes remember
+// which gamma, so it can be undone when they're evaluated. Older files' are
+// linear, and don't get one.
+function colorGammaFactory(name) {
+  return (type, canvas) => {
+    const node = VNLinkable.create(name, type), root = Canvas.getRoot(canvas);
+    if(type === 'color' && !Version.less(root.version, '1.2')) {
+      node.gamma = root.gamma;
+    }
+    return node;
+  };
+}
+
+composite.factory = colorGammaFactory('composite');
+radialComposite.factory = colorGammaFactory('radial_composite');
+
+
+// If `into` is given, the links are parsed into it instead of a new node.
+export function parseLinkableValueNode(pulley, context, into) {
   const tag = pulley.check('opentag'), attrs = tag.attributes;
   if(!Object.hasOwnProperty.call(linkableValueNodes, tag.name)) {
     return;
@@ -34,66 +478,59 @@ export function parseLinkableValueNode(pulley, context) {
   
   checkAttribute(tag, 'type');
   const name = tag.name, type = attrs['type'];
-  const lvn = linkableValueNodes[name], mapping = lvn.mapping;
-  const node = lvn.factory(type, canvas);
+  const lvn = linkableValueNodes[name];
+  let mapping = lvn.mapping;
+  if(lvn.typeMappings) {
+    const mappingType = type.indexOf('weighted_') === 0 ? 'weighted' : type;
+    if(!Object.hasOwnProperty.call(lvn.typeMappings, mappingType)) {
+      if(context.lenient) {
+        report(context, 'invalid-type', `<${name}> can't have type "${type}". Keeping it as is.`, tag);
+        return Opaque.create(parseOpaque(pulley));
+      }
+      throw parseError('invalid-type', `<${name}> can't have type "${type}"!`, tag);
+    }
+    mapping = lvn.typeMappings[mappingType];
+  }
+  const node = into || lvn.factory(type, canvas, context, tag);
   
   for(let name in attrs) {
     if(name === 'guid' || name === 'id' || name === 'type') {
       continue;
     }
     if(!Object.hasOwnProperty.call(mapping, name)) {
-      console.warn(`Bad link in <${tag.name}>: "${name}"`);
+      report(context, 'unknown-link', `Bad link in <${tag.name}>: "${name}"`, tag);
+      continue;
     }
     
-    const key = mapping[name], id = attrs[name];
-    // TODO: if the ID references an external canvas, make sure it's loaded.
+    const key = mapping[name], ref = resolveReference(context, attrs[name], tag);
     onParsingDone(() => {
       if(node[key]) {
-        throw Error(`"${name}" was already defined in <${tag.name}>!`);
+        throw parseError('duplicate-link', `"${name}" was already defined in <${tag.name}>!`, tag);
       }
-      node[key] = Canvas.findValueNode(canvas, id);
+      node[key] = Canvas.findValueNode(ref.canvas, ref.id);
     });
   }
   
   pulley.loopTag((pulley, tag) => {
-    const name = pulley.expect('opentag').name;
+    const name = pulley.check('opentag').name;
     if(!Object.hasOwnProperty.call(mapping, name)) {
-      console.warn(`Bad link in <${tag.name}>: "${name}"`);
+      report(context, 'unknown-link', `Bad link in <${tag.name}>: "${name}"`, tag);
+      if(context.lenient) {
+        Opaque.keep(node, parseOpaque(pulley));
+      } else {
+        pulley.skipTag();
+      }
+      return;
     }
+    pulley.expectName(name);
     
     const key = mapping[name];
     if(node[key]) {
-      throw Error(`"${name}" was already defined in <${tag.name}>!`);
+      throw parseError('duplicate-link', `"${name}" was already defined in <${tag.name}>!`, tag);
     }
     node[key] = parseValueNode(pulley, context);
     pulley.expectName(name, 'closetag');
   });
   
-  const version = canvas.version;
-  if(Version.between(version, '0.5', '0.7') &&
-     (name === 'blinecalcvertex' || name === 'blinecalctangent' || name === 'blinecalcwidth')) {
-    node.homogeneous = VNConst.wrap('bool', false);
-  }
-  if(Version.between(version, '0.7', '0.8') &&
-     name === 'composite' && type === 'width_point') {
-    node.lowerBound = VNConst.wrap('real', 0);
-    node.upperBound = VNConst.wrap('real', 1);
-  }
-  if(Version.less(version, '1.0') &&
-     name === 'composite' && type === 'bline_point') {
-    onParsingDone(() => {
-      // This doesn't conform precisely to the way Synfig works, but it's just
-      // here to support older formats, and the result is equivalent for that
-      // purpose.
-      node.splitRadius = node.splitAngle = node.split;
-    });
-  }
-  if(Version.less(version, '0.4') &&
-     (name === 'blinecalctangent' || name === 'segcalctangent')) {
-    onParsingDone(() => {
-      // TODO: Attach a "scale" node with scalar of 0.5.
-    });
-  }
-  
   return node;
 }
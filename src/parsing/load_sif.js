@@ -1,12 +1,179 @@
+import * as fs from 'fs';
+import * as stream from 'stream';
 import { makePulley } from 'xml-pulley';
 import { parseCanvas } from './general.js';
+import { createFiles, preloadFiles } from './external.js';
+import { trackSource, parseError } from './diagnostics.js';
+import { toXML, toXMLAsync } from '../sifz.js';
 
+export { evaluate } from '../evaluation/evaluate.js';
+export { renderFrame } from '../rendering/render.js';
+export { writeSif, writeSifz } from '../writing/write_sif.js';
+export { fileResolver, fileResolverAsync } from './external.js';
+export { createRegistry as createGuidRegistry } from '../guid.js';
+export { SifParseError } from './diagnostics.js';
 
-export function loadSif(xml) {
-  const pulley = makePulley(xml, {
-    trim: true,
-    normalize: true,
-    skipWhitespaceOnly: true
+
+function parse(xml, files) {
+  xml = toXML(xml);
+  let pulley;
+  try {
+    pulley = makePulley(xml, {
+      trim: true,
+      normalize: true,
+      skipWhitespaceOnly: true
+    });
+  } catch(e) {
+    // sax tacks a useless position onto the end; it isn't tracking any.
+    throw parseError('malformed-xml', e.message.split('\n')[0]);
+  }
+  trackSource(pulley, xml);
+  return parseCanvas(pulley, {
+    files: files,
+    guids: files.guids,
+    diagnostics: files.diagnostics,
+    lenient: files.lenient
+  });
+}
+
+// `xml` can be a string, or a Buffer or Uint8Array holding either a .sif or
+// a gzipped .sifz file.
+//
+// References into other files, like "other.sif#:id", are loaded through
+// `options.resolver`, which reads from disk by default. `options.path` is
+// where this file lives, for resolving relative names; custom resolvers can
+// pass `options.resolvePath(file)` to spell it the way they spell the paths
+// they give back. `options.cache` is a Map of already loaded files that can be
+// shared between calls.
+//
+// Each document keeps its GUIDs in its own registry, which ends up on the
+// canvas as `canvas.guids`. Passing a registry as `options.guids` shares it
+// between this document and every file it references instead.
+//
+// Colors always come out linear, whatever the file's version. The gamma the
+// file was made for is kept as `canvas.gamma`, as `{ r, g, b }`.
+//
+// Problems that parsing can get past are passed to `options.diagnostics`, a
+// function taking `{ code, severity, message, path, line, column }`, or
+// printed if there isn't one. The rest are thrown as SifParseErrors, which
+// carry the same fields.
+//
+// With `options.lenient`, layers, value nodes and elements that aren't
+// understood are kept as opaque nodes holding their raw XML instead of being
+// skipped or failing the whole load. They're written back out as they were.
+export function loadSif(xml, options) {
+  return parse(xml, createFiles(options || {}, parse));
+}
+
+
+function checkAborted(signal) {
+  if(signal && signal.aborted) {
+    throw signal.reason || Error("Loading was aborted!");
+  }
+}
+
+function report(options, phase, loaded, total) {
+  if(options.onProgress) {
+    options.onProgress({ phase: phase, loaded: loaded, total: total });
+  }
+}
+
+// Reads a path or a Readable stream into a Buffer, reporting how much has
+// come in so far.
+function readAll(input, options) {
+  if(typeof input === 'string') {
+    return fs.promises.stat(input).then((stats) => {
+      checkAborted(options.signal);
+      return readStream(fs.createReadStream(input), stats.size, options);
+    });
+  }
+  return readStream(input, undefined, options);
+}
+
+function readStream(input, total, options) {
+  const signal = options.signal;
+  return new Promise((resolve, reject) => {
+    checkAborted(signal);
+    const chunks = [];
+    let loaded = 0;
+    const onAbort = () => {
+      input.destroy();
+      reject(signal.reason || Error("Loading was aborted!"));
+    };
+    if(signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    input.on('data', (chunk) => {
+      chunk = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+      chunks.push(chunk);
+      loaded += chunk.length;
+      report(options, 'reading', loaded, total);
+    });
+    // Settles on errors and on streams that are closed before they end, too.
+    stream.finished(input, (err) => {
+      if(signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if(err) {
+        reject(err);
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
   });
-  return parseCanvas(pulley);
+}
+
+// Like loadSif, but takes a path, a Buffer or a Readable stream, and gives
+// back a Promise. Reading and decompressing don't block, and neither does
+// reading the files it refers to, which are all read before parsing starts.
+// Parsing itself still happens in one go once everything's in.
+//
+// Besides loadSif's options, `options.onProgress` is called with
+// `{ phase, loaded, total }` as things move along, and `options.signal` is an
+// AbortSignal that stops the load. Other files are read with
+// `options.resolverAsync`; see preloadFiles.
+export function loadSifAsync(input, options) {
+  options = Object.assign({}, options);
+  const signal = options.signal;
+  if(typeof input === 'string' && options.path === undefined) {
+    options.path = input;
+  }
+  
+  let read;
+  if(input instanceof Uint8Array || input instanceof ArrayBuffer) {
+    read = new Promise((resolve) => {
+      checkAborted(signal);
+      resolve(input instanceof ArrayBuffer ? new Uint8Array(input) : input);
+    });
+  } else if(typeof input === 'string' || (input && typeof input.on === 'function')) {
+    read = readAll(input, options);
+  } else {
+    return Promise.reject(Error("Expected a path, a Buffer or a Readable stream!"));
+  }
+  
+  return read.then((data) => {
+    checkAborted(signal);
+    report(options, 'decompressing', data.length, data.length);
+    return toXMLAsync(data);
+  }).then((xml) => {
+    checkAborted(signal);
+    return preloadFiles(xml, options, (count) => {
+      report(options, 'resolving', count);
+    }).then((preloaded) => ({ xml: xml, options: preloaded }));
+  }).then((loaded) => new Promise((resolve) => {
+    // Give everything else a turn before settling in to parse.
+    setImmediate(() => resolve(loaded));
+  })).then((loaded) => {
+    const xml = loaded.xml;
+    checkAborted(signal);
+    report(options, 'parsing', xml.length, xml.length);
+    const canvas = loadSif(xml, loaded.options);
+    report(options, 'done', xml.length, xml.length);
+    return canvas;
+  });
+}
+
+export function loadSifFile(path, options) {
+  return loadSifAsync(path, options);
 }
@@ -0,0 +1,100 @@
+import * as Version from '../version.js';
+import * as ValueBase from '../types/value_base.js';
+
+import * as VNConst from '../value_nodes/const.js';
+import * as VNLinkable from '../value_nodes/linkable.js';
+
+
+function constant(type, value) {
+  return VNConst.wrap(ValueBase.create(type, value));
+}
+
+// 0.1 wrapped angle waypoints into a single turn, so animations that went
+// past it took the long way around. Unwrapping them makes every step the
+// shorter one. Angles are in radians by now.
+function unwrapAngleWaypoints(node) {
+  const waypoints = node.waypoints;
+  if(node.name !== 'animated' || node.type !== 'angle' || !waypoints.length ||
+       !waypoints.every((wp) => wp.valueNode.name === 'constant')) {
+    return;
+  }
+  let prev = waypoints[0].valueNode.data.data;
+  for(let i = 1; i < waypoints.length; ++i) {
+    const vb = waypoints[i].valueNode.data;
+    let angle = vb.data;
+    while(angle - prev > Math.PI) {
+      angle -= 2 * Math.PI;
+    }
+    while(prev - angle > Math.PI) {
+      angle += 2 * Math.PI;
+    }
+    vb.data = prev = angle;
+  }
+}
+
+// Tangents used to come out twice as long as they do now. The node turns into
+// a <scale> of what it used to be, so everything that pointed at it still
+// does.
+function halveTangents(node) {
+  if(node.name !== 'blinecalctangent' && node.name !== 'segcalctangent') {
+    return;
+  }
+  const inner = Object.assign({}, node);
+  for(let key in node) {
+    delete node[key];
+  }
+  Object.assign(node, VNLinkable.create('scale', inner.type));
+  node.link = inner;
+  node.scalar = constant('real', 0.5);
+}
+
+function notHomogeneous(node) {
+  if((node.name === 'blinecalcvertex' || node.name === 'blinecalctangent' ||
+        node.name === 'blinecalcwidth') && !node.homogeneous) {
+    node.homogeneous = constant('bool', false);
+  }
+}
+
+function widthPointBounds(node) {
+  if(node.name === 'composite' && node.type === 'width_point') {
+    node.lowerBound = constant('real', 0);
+    node.upperBound = constant('real', 1);
+  }
+}
+
+// This doesn't conform precisely to the way Synfig works, but it's just here
+// to support older formats, and the result is equivalent for that purpose.
+function splitBLinePoint(node) {
+  if(node.name === 'composite' && node.type === 'bline_point') {
+    node.splitRadius = node.splitAngle = node.split;
+  }
+}
+
+// Every change to the format that needs old content brought up to date,
+// oldest first. Each one applies to files saved before `version`, and where
+// `since` is given, only to files at least that new.
+//
+// 1.1 (Synfig 1.2) added bones and the skeleton deformation layer, which older
+// files don't have to upgrade. 1.2 (Synfig 1.4) started storing colors with
+// the canvas's gamma applied; that's undone as they're read, in linearColor,
+// and as composite colors are evaluated, using the gamma they remember.
+const MIGRATIONS = [
+  { version: '0.2', since: '0.1', node: unwrapAngleWaypoints },
+  { version: '0.4', node: halveTangents },
+  { version: '0.8', since: '0.5', node: notHomogeneous },
+  { version: '0.9', since: '0.7', node: widthPointBounds },
+  { version: '1.0', node: splitBLinePoint }
+];
+
+
+// Brings a freshly parsed document up to the current format, one version at
+// a time. `nodes` is every value node the document defined itself; ones it
+// borrowed from other files were brought up to date with those.
+export function migrate(version, nodes) {
+  MIGRATIONS.forEach((migration) => {
+    if(Version.less(version, migration.version) &&
+         !(migration.since && Version.less(version, migration.since))) {
+      nodes.forEach(migration.node);
+    }
+  });
+}
@@ -0,0 +1,20 @@
+import * as XML from '../writing/xml.js';
+
+
+// Reads the next element and everything in it, without trying to make sense
+// of any of it.
+export function parseOpaque(pulley) {
+  const children = [];
+  const tag = pulley.loopTag((pulley) => {
+    const node = pulley.peek();
+    if(node.type === 'opentag') {
+      children.push(parseOpaque(pulley));
+    } else {
+      pulley.next();
+      if(node.type === 'text') {
+        children.push(node.text);
+      }
+    }
+  });
+  return XML.element(tag.name, Object.assign({}, tag.attributes), children);
+}
@@ -0,0 +1,192 @@
+import * as Vector from '../types/vector.js';
+import * as Matrix from '../types/matrix.js';
+
+import * as Spline from '../evaluation/spline.js';
+
+
+// Each antialiased pixel row is sampled at this many heights. Across a row,
+// coverage is worked out exactly.
+const SUBSCANLINES = 4;
+
+// How much of each pixel a set of polygons covers, from 0 to 1. Polygons are
+// arrays of points in pixel coordinates, and are closed implicitly. Where
+// they overlap, `evenOdd` decides whether it's filled by the even-odd rule or
+// the non-zero one.
+export function rasterize(polygons, width, height, antialias, evenOdd) {
+  const coverage = new Float32Array(width * height);
+  const edges = [];
+  polygons.forEach((polygon) => {
+    for(let i = 0, len = polygon.length; i < len; ++i) {
+      const a = polygon[i], b = polygon[(i + 1) % len];
+      if(a.y !== b.y) {
+        edges.push(a.y < b.y ? { x0: a.x, y0: a.y, x1: b.x, y1: b.y, dir: 1 } :
+                               { x0: b.x, y0: b.y, x1: a.x, y1: a.y, dir: -1 });
+      }
+    }
+  });
+  if(!edges.length) {
+    return coverage;
+  }
+  
+  let top = Infinity, bottom = -Infinity;
+  edges.forEach((edge) => {
+    top = Math.min(top, edge.y0);
+    bottom = Math.max(bottom, edge.y1);
+  });
+  top = Math.max(0, Math.floor(top));
+  bottom = Math.min(height, Math.ceil(bottom));
+  
+  const samples = antialias ? SUBSCANLINES : 1, weight = 1 / samples;
+  const crossings = [];
+  for(let py = top; py < bottom; ++py) {
+    const row = py * width;
+    for(let s = 0; s < samples; ++s) {
+      const y = py + (s + 0.5) / samples;
+      crossings.length = 0;
+      for(let i = 0, len = edges.length; i < len; ++i) {
+        const edge = edges[i];
+        if(y >= edge.y0 && y < edge.y1) {
+          const x = edge.x0 + (y - edge.y0) * (edge.x1 - edge.x0) / (edge.y1 - edge.y0);
+          crossings.push({ x: x, dir: edge.dir });
+        }
+      }
+      crossings.sort((a, b) => a.x - b.x);
+      
+      let winding = 0;
+      for(let i = 0, len = crossings.length - 1; i < len; ++i) {
+        winding += crossings[i].dir;
+        const inside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+        if(inside) {
+          fillSpan(coverage, row, width, crossings[i].x, crossings[i+1].x, weight, antialias);
+        }
+      }
+    }
+  }
+  
+  for(let i = 0, len = coverage.length; i < len; ++i) {
+    if(coverage[i] > 1) {
+      coverage[i] = 1;
+    }
+  }
+  return coverage;
+}
+
+function fillSpan(coverage, row, width, x0, x1, weight, antialias) {
+  if(!antialias) {
+    // Pixels whose centres are in the span.
+    const start = Math.max(0, Math.ceil(x0 - 0.5)), end = Math.min(width, Math.ceil(x1 - 0.5));
+    for(let x = start; x < end; ++x) {
+      coverage[row + x] += weight;
+    }
+    return;
+  }
+  
+  x0 = Math.max(0, x0);
+  x1 = Math.min(width, x1);
+  if(x1 <= x0) {
+    return;
+  }
+  const first = Math.floor(x0), last = Math.min(width - 1, Math.floor(x1));
+  if(first === last) {
+    coverage[row + first] += (x1 - x0) * weight;
+    return;
+  }
+  coverage[row + first] += (first + 1 - x0) * weight;
+  for(let x = first + 1; x < last; ++x) {
+    coverage[row + x] += weight;
+  }
+  coverage[row + last] += (x1 - last) * weight;
+}
+
+
+// How much a transformation stretches things, on average. Used to decide how
+// finely to cut up curves.
+export function scaleOf(matrix) {
+  const m = matrix.array;
+  return Math.sqrt(Math.abs(m[0] * m[4] - m[1] * m[3]));
+}
+
+function stepsFor(pixelLength) {
+  return Math.max(4, Math.min(256, Math.ceil(pixelLength / 2)));
+}
+
+// Points go around counterclockwise in canvas space, so every circle winds
+// the same way.
+export function circle(center, radius, matrix) {
+  const steps = Math.max(16, Math.min(1024, Math.ceil(2 * Math.PI * radius * scaleOf(matrix) / 2)));
+  const out = [];
+  for(let i = 0; i < steps; ++i) {
+    out.push(Matrix.transform(matrix, Vector.add(center, Vector.polar(radius, 2 * Math.PI * i / steps))));
+  }
+  return out;
+}
+
+// Cuts a spline of evaluated bline points into a run of short straight pieces.
+// Each point also says how wide the spline is there, for outlines.
+export function flattenBLine(points, loop, matrix) {
+  const out = [], scale = scaleOf(matrix);
+  Spline.blineSegments(points, loop).forEach((segment) => {
+    const rough = Vector.length(Vector.subtract(segment.p2, segment.p1)) +
+                  (Vector.length(segment.t1) + Vector.length(segment.t2)) / 3;
+    const steps = stepsFor(rough * scale);
+    for(let i = out.length ? 1 : 0; i <= steps; ++i) {
+      const t = i / steps;
+      out.push({
+        point: Spline.segmentPoint(segment.p1, segment.t1, segment.p2, segment.t2, t),
+        width: segment.from.width + (segment.to.width - segment.from.width) * t
+      });
+    }
+  });
+  if(loop && out.length > 1) {
+    out.pop();
+  }
+  if(!out.length && points.length) {
+    out.push({ point: points[0].vertex, width: points[0].width });
+  }
+  return out;
+}
+
+function unitNormal(a, b) {
+  const direction = Vector.subtract(b, a), length = Vector.length(direction);
+  return length ? Vector.at(-direction.y / length, direction.x / length) : undefined;
+}
+
+// Outlines are the spline pushed out to either side by half its width, with
+// circles to round off the tips and the corners. Everything winds
+// counterclockwise in canvas space, so they merge as long as they're filled
+// non-zero, whatever the layer's winding style.
+export function stroke(samples, loop, halfWidth, roundTips, matrix) {
+  const len = samples.length, count = loop ? len : len - 1;
+  const pieces = [];
+  for(let i = 0; i < count; ++i) {
+    pieces.push(unitNormal(samples[i].point, samples[(i + 1) % len].point));
+  }
+  
+  const right = [], left = [], polygons = [];
+  let last = Vector.zero();
+  samples.forEach((sample, i) => {
+    const before = i > 0 || loop ? pieces[(i + count - 1) % count] : undefined;
+    const after = i < count ? pieces[i] : undefined;
+    let normal = before && after ? Vector.add(before, after) : before || after || last;
+    const length = Vector.length(normal);
+    normal = length ? Vector.scale(normal, 1 / length) : last;
+    last = normal;
+    
+    const radius = Math.max(0, halfWidth(sample.width));
+    right.push(Matrix.transform(matrix, Vector.subtract(sample.point, Vector.scale(normal, radius))));
+    left.push(Matrix.transform(matrix, Vector.add(sample.point, Vector.scale(normal, radius))));
+    
+    const tip = !loop && (i === 0 || i === len - 1);
+    const corner = before && after && Vector.dot(before, after) < 0.999;
+    if(radius && (tip ? roundTips[i === 0 ? 0 : 1] : corner)) {
+      polygons.push(circle(sample.point, radius, matrix));
+    }
+  });
+  
+  if(loop) {
+    polygons.push(right, left.reverse());
+  } else {
+    polygons.push(right.concat(left.reverse()));
+  }
+  return polygons;
+}
@@ -0,0 +1,226 @@
+import * as Vector from '../types/vector.js';
+import * as Matrix from '../types/matrix.js';
+import * as Color from '../types/color.js';
+import * as Gradient from '../types/gradient.js';
+import * as Transformation from '../types/transformation.js';
+import * as Canvas from '../types/canvas.js';
+import * as BlendMethod from '../blend_method.js';
+
+import { evaluate } from '../evaluation/evaluate.js';
+
+import * as Surface from './surface.js';
+import * as Raster from './raster.js';
+
+
+// Synfig's default image span: 60 pixels to a unit, centred on the origin.
+const UNITS_PER_PIXEL = 1 / 60;
+
+const renderers = {};
+
+function register(name, renderer) {
+  if(typeof name === 'string') {
+    renderers[name] = renderer;
+  } else {
+    for(let i = 0, len = name.length; i < len; ++i) {
+      renderers[name[i]] = renderer;
+    }
+  }
+  return renderer;
+}
+
+
+// Draws a frame of a canvas at a time in seconds, with no help from Synfig.
+// `options.width` and `options.height` default to the canvas's own size.
+// Gives back RGBA pixels, top row first, with straight alpha: linear floats
+// in a Float32Array, or with `options.format` set to 'uint8', bytes in a
+// Uint8ClampedArray with the canvas's gamma applied, ready for a PNG.
+//
+// Layers that can't be drawn yet are left out. Shapes' feather and bevel
+// aren't drawn either.
+export function renderFrame(canvas, time, options) {
+  options = options || {};
+  const root = Canvas.getRoot(canvas);
+  const width = options.width || canvas.width || 480, height = options.height || canvas.height || 270;
+  // Canvases with antialiasing above 1 are drawn that much bigger, then
+  // shrunk back down.
+  const factor = Math.max(1, Math.round(root.antialias || 1));
+  
+  let tl = canvas.tl, br = canvas.br;
+  if(!tl || !br) {
+    const w = (canvas.width || width) * UNITS_PER_PIXEL / 2, h = (canvas.height || height) * UNITS_PER_PIXEL / 2;
+    tl = Vector.at(-w, h);
+    br = Vector.at(w, -h);
+  }
+  const sx = width * factor / (br.x - tl.x), sy = height * factor / (br.y - tl.y);
+  const matrix = Matrix.affine(sx, 0,
+                               0,  sy,
+                               -tl.x * sx, -tl.y * sy);
+  
+  let surface = Surface.create(width * factor, height * factor);
+  if(canvas.bgcolor) {
+    Surface.fill(surface, canvas.bgcolor);
+  }
+  renderLayers(surface, canvas, time || 0, matrix);
+  surface = Surface.downsample(surface, factor);
+  
+  return Surface.toPixels(surface, options.format === 'uint8' ? root.gamma || Color.defaultGamma() : undefined);
+}
+
+// Layers are stored top first, so they're drawn in reverse.
+function renderLayers(surface, canvas, time, matrix) {
+  const layers = canvas.layers;
+  for(let i = layers.length - 1; i >= 0; --i) {
+    const layer = layers[i];
+    if(layer.active && !layer.excludeFromRendering && Object.hasOwnProperty.call(renderers, layer.name)) {
+      renderers[layer.name](surface, layer, time, matrix);
+    }
+  }
+}
+
+function param(layer, key, time, fallback) {
+  return layer[key] ? evaluate(layer[key], time) : fallback;
+}
+
+function blend(layer, time) {
+  return {
+    amount: param(layer, 'amount', time, 1),
+    method: param(layer, 'blendMethod', time, BlendMethod.COMPOSITE)
+  };
+}
+
+
+// Everything shaped fills its polygons with one color, moved by the origin.
+// Pass `nonZero` to fill by the non-zero rule whatever the layer's winding
+// style says.
+function fillShape(surface, layer, time, matrix, polygons, nonZero) {
+  const coverage = Raster.rasterize(polygons, surface.width, surface.height,
+                                    param(layer, 'antialias', time, true),
+                                    !nonZero && param(layer, 'windingStyle', time, 0) === 1);
+  if(param(layer, 'invert', time, false)) {
+    for(let i = 0, len = coverage.length; i < len; ++i) {
+      coverage[i] = 1 - coverage[i];
+    }
+  }
+  const { amount, method } = blend(layer, time);
+  Surface.paint(surface, coverage, param(layer, 'color', time, Color.black()), amount, method);
+}
+
+function shapeMatrix(layer, time, matrix) {
+  return Matrix.multiply(Matrix.translation(param(layer, 'origin', time, Vector.zero())), matrix);
+}
+
+register('circle', (surface, layer, time, matrix) => {
+  // A circle's origin is its centre.
+  const polygon = Raster.circle(param(layer, 'origin', time, Vector.zero()),
+                                Math.abs(param(layer, 'radius', time, 1)), matrix);
+  fillShape(surface, layer, time, matrix, [polygon]);
+});
+
+register('rectangle', (surface, layer, time, matrix) => {
+  const p1 = param(layer, 'point1', time), p2 = param(layer, 'point2', time);
+  const expand = param(layer, 'expand', time, 0);
+  const left = Math.min(p1.x, p2.x) - expand, right = Math.max(p1.x, p2.x) + expand;
+  const bottom = Math.min(p1.y, p2.y) - expand, top = Math.max(p1.y, p2.y) + expand;
+  const m = shapeMatrix(layer, time, matrix);
+  const polygon = [Vector.at(left, bottom), Vector.at(right, bottom), Vector.at(right, top), Vector.at(left, top)];
+  fillShape(surface, layer, time, matrix, [polygon.map((point) => Matrix.transform(m, point))]);
+});
+
+register('polygon', (surface, layer, time, matrix) => {
+  const m = shapeMatrix(layer, time, matrix);
+  const points = param(layer, 'vectorList', time, []);
+  fillShape(surface, layer, time, matrix, [points.map((point) => Matrix.transform(m, point))]);
+});
+
+register('region', (surface, layer, time, matrix) => {
+  const m = shapeMatrix(layer, time, matrix);
+  // Regions are always closed, whether their spline loops or not.
+  const samples = Raster.flattenBLine(param(layer, 'bline', time, []), true, m);
+  fillShape(surface, layer, time, matrix, [samples.map((sample) => Matrix.transform(m, sample.point))]);
+});
+
+register('outline', (surface, layer, time, matrix) => {
+  const m = shapeMatrix(layer, time, matrix);
+  const loop = !!(layer.bline && layer.bline.loop);
+  const samples = Raster.flattenBLine(param(layer, 'bline', time, []), loop, m);
+  if(!samples.length) {
+    return;
+  }
+  const width = param(layer, 'width', time, 1), expand = param(layer, 'expand', time, 0);
+  const roundTips = [param(layer, 'roundTip0', time, true), param(layer, 'roundTip1', time, true)];
+  // The layer's width is the whole width of the line; each point scales it.
+  // Its pieces overlap, so even-odd filling would punch holes in it.
+  fillShape(surface, layer, time, matrix, Raster.stroke(samples, loop, (w) => width * w / 2 + expand, roundTips, m), true);
+});
+
+
+// Gradients cover everything, so they're painted a pixel at a time from a
+// position along the gradient.
+function fillGradient(surface, layer, time, matrix, position) {
+  const gradient = param(layer, 'gradient', time, Gradient.empty());
+  const loop = param(layer, 'loop', time, false), zigzag = param(layer, 'zigzag', time, false);
+  const inverse = Matrix.invertAffine(matrix);
+  const { amount, method } = blend(layer, time);
+  Surface.paint(surface, null, (x, y) => {
+    let t = position(Matrix.transform(inverse, Vector.at(x, y)));
+    if(zigzag) {
+      t = 1 - Math.abs(t - 2 * Math.floor(t / 2) - 1);
+    } else if(loop) {
+      t -= Math.floor(t);
+    }
+    return Gradient.colorAt(gradient, t);
+  }, amount, method);
+}
+
+register('linear_gradient', (surface, layer, time, matrix) => {
+  const p1 = param(layer, 'p1', time), p2 = param(layer, 'p2', time);
+  const direction = Vector.subtract(p2, p1), lengthSquared = Vector.dot(direction, direction);
+  fillGradient(surface, layer, time, matrix, (point) => {
+    return lengthSquared ? Vector.dot(Vector.subtract(point, p1), direction) / lengthSquared : 0;
+  });
+});
+
+register('radial_gradient', (surface, layer, time, matrix) => {
+  const center = param(layer, 'center', time, Vector.zero()), radius = param(layer, 'radius', time, 0.5);
+  fillGradient(surface, layer, time, matrix, (point) => {
+    return radius ? Vector.length(Vector.subtract(point, center)) / radius : 0;
+  });
+});
+
+register('conical_gradient', (surface, layer, time, matrix) => {
+  const center = param(layer, 'center', time, Vector.zero()), angle = param(layer, 'angle', time, 0);
+  const symmetric = param(layer, 'symmetric', time, false);
+  fillGradient(surface, layer, time, matrix, (point) => {
+    let t = (Vector.angle(Vector.subtract(point, center)) - angle) / (2 * Math.PI);
+    t -= Math.floor(t);
+    return symmetric ? 1 - Math.abs(2 * t - 1) : t;
+  });
+});
+
+
+// Groups draw their canvas by itself first, then blend the result in as one.
+// Content is moved so its origin sits where the transformation's offset says.
+register('group', (surface, layer, time, matrix) => {
+  const canvas = param(layer, 'canvas', time);
+  if(!canvas) {
+    return;
+  }
+  const origin = param(layer, 'origin', time, Vector.zero());
+  const transformation = param(layer, 'transformation', time, Transformation.create());
+  let place = Matrix.multiply(Matrix.translation(Vector.scale(origin, -1)), Transformation.toMatrix(transformation));
+  // Old PasteCanvases whose zoom or focus couldn't be upgraded still have
+  // them, and place their contents at (p - focus) * e^zoom + focus + origin.
+  if(layer.zoom || layer.focus) {
+    const focus = param(layer, 'focus', time, Vector.zero());
+    const scale = Matrix.scaling(Vector.diagonal(Math.exp(param(layer, 'zoom', time, 0))));
+    place = Matrix.multiply(Matrix.multiply(Matrix.translation(Vector.scale(focus, -1)), scale),
+                            Matrix.translation(Vector.add(focus, origin)));
+  }
+  const inner = Matrix.multiply(place, matrix);
+  const innerTime = time * param(layer, 'timeDilation', time, 1) + param(layer, 'timeOffset', time, 0);
+  
+  const content = Surface.create(surface.width, surface.height);
+  renderLayers(content, canvas, innerTime, inner);
+  const { amount, method } = blend(layer, time);
+  Surface.composite(surface, content, amount, method);
+});
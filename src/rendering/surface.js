@@ -0,0 +1,184 @@
+import * as BlendMethod from '../blend_method.js';
+import * as Color from '../types/color.js';
+
+
+// Pixels are linear and premultiplied while they're being drawn on, four
+// floats each, top row first.
+export function create(width, height) {
+  return {
+    width: width,
+    height: height,
+    data: new Float32Array(width * height * 4)
+  };
+}
+
+export function fill(surface, color) {
+  const data = surface.data, a = color.a;
+  for(let i = 0, len = data.length; i < len; i += 4) {
+    data[i] = color.r * a;
+    data[i+1] = color.g * a;
+    data[i+2] = color.b * a;
+    data[i+3] = a;
+  }
+}
+
+// Blends one premultiplied pixel onto another, the way Synfig's blend methods
+// do. `k` is how much of the source to use: its coverage times the layer's
+// amount. Methods that aren't here are treated as plain compositing.
+function blendPixel(d, i, r, g, b, a, k, method) {
+  const da = d[i+3];
+  switch(method) {
+    case BlendMethod.STRAIGHT: {
+      d[i] += (r - d[i]) * k;
+      d[i+1] += (g - d[i+1]) * k;
+      d[i+2] += (b - d[i+2]) * k;
+      d[i+3] += (a - da) * k;
+      return;
+    }
+    case BlendMethod.ONTO: {
+      const keep = 1 - a * k;
+      d[i] = r * k * da + d[i] * keep;
+      d[i+1] = g * k * da + d[i+1] * keep;
+      d[i+2] = b * k * da + d[i+2] * keep;
+      return;
+    }
+    case BlendMethod.STRAIGHT_ONTO: {
+      d[i] += (r * da - d[i]) * k;
+      d[i+1] += (g * da - d[i+1]) * k;
+      d[i+2] += (b * da - d[i+2]) * k;
+      return;
+    }
+    case BlendMethod.BEHIND: {
+      const under = k * (1 - da);
+      d[i] += r * under;
+      d[i+1] += g * under;
+      d[i+2] += b * under;
+      d[i+3] += a * under;
+      return;
+    }
+    case BlendMethod.ALPHA_OVER: {
+      const keep = 1 - a * k;
+      d[i] *= keep;
+      d[i+1] *= keep;
+      d[i+2] *= keep;
+      d[i+3] *= keep;
+      return;
+    }
+    case BlendMethod.ADD: {
+      d[i] += r * k * da;
+      d[i+1] += g * k * da;
+      d[i+2] += b * k * da;
+      return;
+    }
+    case BlendMethod.MULTIPLY: {
+      // Against the straight source colour, so a half-transparent source
+      // only darkens halfway.
+      const amount = a * k, inv = a ? 1 / a : 0;
+      d[i] *= 1 - amount + amount * r * inv;
+      d[i+1] *= 1 - amount + amount * g * inv;
+      d[i+2] *= 1 - amount + amount * b * inv;
+      return;
+    }
+  }
+  const keep = 1 - a * k;
+  d[i] = r * k + d[i] * keep;
+  d[i+1] = g * k + d[i+1] * keep;
+  d[i+2] = b * k + d[i+2] * keep;
+  d[i+3] = a * k + da * keep;
+}
+
+// Paints onto a surface wherever `coverage` says, or everywhere if it's
+// missing. `paint` is either a straight color or a function of a pixel's
+// position giving one.
+export function paint(surface, coverage, paint, amount, method) {
+  const d = surface.data, width = surface.width, height = surface.height;
+  const constant = typeof paint === 'function' ? undefined : paint;
+  let color = constant;
+  for(let y = 0, p = 0; y < height; ++y) {
+    for(let x = 0; x < width; ++x, ++p) {
+      const c = coverage ? coverage[p] : 1;
+      // Straight blending replaces everything, so outside the shape, what's
+      // underneath is blended towards transparent. The coverage goes into
+      // the source's alpha rather than into how much of it is used.
+      if(method === BlendMethod.STRAIGHT) {
+        if(!c) {
+          blendPixel(d, p * 4, 0, 0, 0, 0, amount, method);
+          continue;
+        }
+        if(!constant) {
+          color = paint(x + 0.5, y + 0.5);
+        }
+        const a = color.a * c;
+        blendPixel(d, p * 4, color.r * a, color.g * a, color.b * a, a, amount, method);
+        continue;
+      }
+      const k = c * amount;
+      if(!k) {
+        continue;
+      }
+      if(!constant) {
+        color = paint(x + 0.5, y + 0.5);
+      }
+      const a = color.a;
+      blendPixel(d, p * 4, color.r * a, color.g * a, color.b * a, a, k, method);
+    }
+  }
+}
+
+// Like paint, but with another surface as the source.
+export function composite(surface, source, amount, method) {
+  const d = surface.data, s = source.data;
+  for(let i = 0, len = d.length; i < len; i += 4) {
+    if(s[i+3] || method === BlendMethod.STRAIGHT) {
+      blendPixel(d, i, s[i], s[i+1], s[i+2], s[i+3], amount, method);
+    }
+  }
+}
+
+// Averages every `factor` by `factor` block of pixels into one.
+export function downsample(surface, factor) {
+  if(factor === 1) {
+    return surface;
+  }
+  const width = Math.floor(surface.width / factor), height = Math.floor(surface.height / factor);
+  const out = create(width, height), s = surface.data, d = out.data;
+  const weight = 1 / (factor * factor);
+  for(let y = 0; y < height; ++y) {
+    for(let x = 0; x < width; ++x) {
+      const o = (y * width + x) * 4;
+      for(let sy = 0; sy < factor; ++sy) {
+        for(let sx = 0; sx < factor; ++sx) {
+          const i = ((y * factor + sy) * surface.width + x * factor + sx) * 4;
+          d[o] += s[i] * weight;
+          d[o+1] += s[i+1] * weight;
+          d[o+2] += s[i+2] * weight;
+          d[o+3] += s[i+3] * weight;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// Straight alpha, either as linear floats or as bytes with `gamma` applied.
+export function toPixels(surface, gamma) {
+  const s = surface.data, len = s.length;
+  const out = gamma ? new Uint8ClampedArray(len) : new Float32Array(len);
+  for(let i = 0; i < len; i += 4) {
+    const a = s[i+3], inv = a ? 1 / a : 0;
+    let color = Color.rgb(s[i] * inv, s[i+1] * inv, s[i+2] * inv, a);
+    if(gamma) {
+      color = Color.encodeGamma(color, gamma);
+      out[i] = Math.round(color.r * 255);
+      out[i+1] = Math.round(color.g * 255);
+      out[i+2] = Math.round(color.b * 255);
+      out[i+3] = Math.round(color.a * 255);
+    } else {
+      out[i] = color.r;
+      out[i+1] = color.g;
+      out[i+2] = color.b;
+      out[i+3] = color.a;
+    }
+  }
+  return out;
+}
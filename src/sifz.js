@@ -0,0 +1,39 @@
+import * as zlib from 'zlib';
+
+
+// .sifz files are just gzipped .sif files.
+export function isGzip(data) {
+  return data instanceof Uint8Array && data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b;
+}
+
+// Turns whatever loadSif was given into an XML string, decompressing it on
+// the way if need be.
+export function toXML(data) {
+  if(typeof data === 'string') {
+    return data;
+  }
+  if(data instanceof ArrayBuffer) {
+    data = new Uint8Array(data);
+  }
+  if(!(data instanceof Uint8Array)) {
+    throw Error("Expected a string, Buffer or Uint8Array!");
+  }
+  if(isGzip(data)) {
+    data = zlib.gunzipSync(data);
+  }
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('utf8');
+}
+
+// Like toXML, but decompresses without blocking.
+export function toXMLAsync(data) {
+  if(!isGzip(data)) {
+    return new Promise((resolve) => resolve(toXML(data)));
+  }
+  return new Promise((resolve, reject) => {
+    zlib.gunzip(data, (err, out) => err ? reject(err) : resolve(toXML(out)));
+  });
+}
+
+export function compress(xml) {
+  return zlib.gzipSync(Buffer.from(xml, 'utf8'));
+}
@@ -1,6 +1,7 @@
 import { insertSorted } from '../utils.js';
 
 import * as Keyframe from './keyframe.js';
+import * as VNBone from '../value_nodes/bone.js';
 
 
 export function create() {
@@ -9,12 +10,15 @@ export function create() {
     metadata: {},
     valueNodes: {},
     canvases: {},
+    layers: [],
+    bones: [],
     inline: false
   };
 }
 
 export function inline() {
   return {
+    layers: [],
     inline: true
   };
 }
@@ -40,11 +44,25 @@ export function findValueNode(canvas, id) {
   const canvasID = id.substr(0, sep) || ':', nodeID = id.substr(sep + 1);
   canvas = findCanvas(canvas, canvasID);
   
-  return canvas && canvas.valueNodes[id];
+  return canvas && canvas.valueNodes[nodeID];
+}
+
+export function addBone(canvas, bone) {
+  getNonInline(canvas).bones.push(bone);
+}
+
+// There's only one root bone per file; every top-level bone's parent is it.
+export function getBoneRoot(canvas) {
+  canvas = getRoot(canvas);
+  return canvas.boneRoot || (canvas.boneRoot = VNBone.root());
 }
 
 export function childCanvas(canvas, id) {
-  return getNonInline(canvas).canvases[id] = create();
+  canvas = getNonInline(canvas);
+  const child = create();
+  child.parent = canvas;
+  child.id = id;
+  return canvas.canvases[id] = child;
 }
 
 export function getRoot(canvas) {
@@ -61,10 +79,46 @@ export function getNonInline(canvas) {
   return canvas;
 }
 
+export function findChildCanvas(canvas, id) {
+  const canvases = getNonInline(canvas).canvases;
+  return Object.hasOwnProperty.call(canvases, id) ? canvases[id] : undefined;
+}
+
 export function findCanvas(canvas, id) {
-  throw Error("Not implemented");
+  if(!canvas) return;
+  canvas = getNonInline(canvas);
+  
+  if(!id) {
+    return canvas;
+  }
+  
+  // ":a:b" is absolute, "a:b" is relative to the canvas we're looking from.
+  // Like Synfig, "a" can be a child of any canvas it's inside of, the nearest
+  // one first.
+  if(id.charAt(0) === ':') {
+    return findCanvas(getRoot(canvas), id.substr(1));
+  }
+  
+  const sep = id.indexOf(':'), first = sep === -1 ? id : id.substr(0, sep);
+  let child;
+  for(let c = canvas; c && !child; c = c.parent) {
+    child = findChildCanvas(c, first);
+  }
+  return sep === -1 ? child : findDescendant(child, id.substr(sep + 1));
+}
+
+// Follows the rest of a path down from a canvas, without looking anywhere else.
+function findDescendant(canvas, id) {
+  if(!canvas) return;
+  const sep = id.indexOf(':');
+  if(sep === -1) {
+    return findChildCanvas(canvas, id);
+  }
+  return findDescendant(findChildCanvas(canvas, id.substr(0, sep)), id.substr(sep + 1));
 }
 
+// Like Synfig, the layer stack is kept top-first, so layers[0] is the one
+// that's drawn last. Files list them bottom-first.
 export function addLayer(canvas, layer) {
-  throw Error("Not implemented");
+  canvas.layers.unshift(layer);
 }
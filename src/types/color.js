@@ -19,3 +19,99 @@ export function black() {
     a: 1
   };
 }
+
+
+export function add(a, b) {
+  return { r: a.r + b.r, g: a.g + b.g, b: a.b + b.b, a: a.a + b.a };
+}
+
+export function subtract(plus, minus) {
+  return { r: plus.r - minus.r, g: plus.g - minus.g, b: plus.b - minus.b, a: plus.a - minus.a };
+}
+
+export function scale(color, scalar) {
+  return { r: color.r * scalar, g: color.g * scalar, b: color.b * scalar, a: color.a * scalar };
+}
+
+// Synfig's YUV conversion, used by radial composites.
+export function fromYUV(y, u, v, alpha) {
+  return {
+    r: y + v * 1.13983,
+    g: y - u * 0.39465 - v * 0.58060,
+    b: y + u * 2.03211,
+    a: alpha === undefined ? 1 : alpha
+  };
+}
+
+
+// Synfig's gamma is separate for each channel. 2.2 is what it always used
+// before files could say otherwise.
+export function gamma(r, g, b) {
+  return {
+    r: r,
+    g: g === undefined ? r : g,
+    b: b === undefined ? r : b
+  };
+}
+
+export function defaultGamma() {
+  return gamma(2.2);
+}
+
+// Keeps the sign, so out-of-range channels survive the trip.
+export function power(channel, exponent) {
+  return channel < 0 ? -Math.pow(-channel, exponent) : Math.pow(channel, exponent);
+}
+
+// From linear to gamma-corrected, the way newer files store colors.
+export function encodeGamma(color, gamma) {
+  return {
+    r: power(color.r, 1 / gamma.r),
+    g: power(color.g, 1 / gamma.g),
+    b: power(color.b, 1 / gamma.b),
+    a: color.a
+  };
+}
+
+export function decodeGamma(color, gamma) {
+  return {
+    r: power(color.r, gamma.r),
+    g: power(color.g, gamma.g),
+    b: power(color.b, gamma.b),
+    a: color.a
+  };
+}
+
+function toSRGBChannel(c) {
+  if(c < 0) {
+    return -toSRGBChannel(-c);
+  }
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+function fromSRGBChannel(c) {
+  if(c < 0) {
+    return -fromSRGBChannel(-c);
+  }
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Linear colors to and from sRGB, for showing them on a display. Alpha is
+// linear either way.
+export function toSRGB(color) {
+  return {
+    r: toSRGBChannel(color.r),
+    g: toSRGBChannel(color.g),
+    b: toSRGBChannel(color.b),
+    a: color.a
+  };
+}
+
+export function fromSRGB(color) {
+  return {
+    r: fromSRGBChannel(color.r),
+    g: fromSRGBChannel(color.g),
+    b: fromSRGBChannel(color.b),
+    a: color.a
+  };
+}
@@ -1,5 +1,6 @@
 import * as Stop from './gradient_stop.js';
 export { Stop };
+import * as Color from './color.js';
 import { insertSorted } from '../utils.js';
 
 
@@ -27,3 +28,24 @@ export function addStop(gradient, stop) {
 export function addNewStop(gradient, position, color) {
   addStop(gradient, Stop.create(position, color));
 }
+
+
+export function colorAt(gradient, position) {
+  const stops = gradient.stops, len = stops.length;
+  if(!len) {
+    return Color.rgb(0, 0, 0, 0);
+  }
+  if(position <= stops[0].position) {
+    return Color.rgb(stops[0].color.r, stops[0].color.g, stops[0].color.b, stops[0].color.a);
+  }
+  for(let i = 1; i < len; ++i) {
+    const next = stops[i];
+    if(position < next.position) {
+      const prev = stops[i-1], span = next.position - prev.position;
+      const amount = span > 0 ? (position - prev.position) / span : 0;
+      return Color.add(Color.scale(prev.color, 1 - amount), Color.scale(next.color, amount));
+    }
+  }
+  const last = stops[len-1].color;
+  return Color.rgb(last.r, last.g, last.b, last.a);
+}
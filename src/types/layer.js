@@ -0,0 +1,8 @@
+export function create(name, version) {
+  return {
+    name: name,
+    version: version,
+    active: true,
+    excludeFromRendering: false
+  };
+}
@@ -33,3 +33,62 @@ export function identity() {
             0, 0, 1]
   };
 }
+
+export function translation(offset) {
+  return affine(1, 0,
+                0, 1,
+                offset.x, offset.y);
+}
+
+export function rotation(angle) {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return affine( c, s,
+                -s, c,
+                 0, 0);
+}
+
+export function scaling(scale) {
+  return affine(scale.x, 0,
+                0,       scale.y,
+                0,       0);
+}
+
+
+// Points are row vectors, so multiply(a, b) applies a first, then b.
+export function multiply(a, b) {
+  const x = a.array, y = b.array, out = Array(9);
+  for(let row = 0; row < 3; ++row) {
+    for(let col = 0; col < 3; ++col) {
+      out[row*3 + col] = x[row*3] * y[col] + x[row*3 + 1] * y[3 + col] + x[row*3 + 2] * y[6 + col];
+    }
+  }
+  return { array: out };
+}
+
+export function transform(matrix, vec) {
+  const m = matrix.array;
+  return {
+    x: vec.x * m[0] + vec.y * m[3] + m[6],
+    y: vec.x * m[1] + vec.y * m[4] + m[7]
+  };
+}
+
+export function transformDirection(matrix, vec) {
+  const m = matrix.array;
+  return {
+    x: vec.x * m[0] + vec.y * m[3],
+    y: vec.x * m[1] + vec.y * m[4]
+  };
+}
+
+export function invertAffine(matrix) {
+  const m = matrix.array;
+  const det = m[0] * m[4] - m[1] * m[3];
+  if(!det) {
+    return identity();
+  }
+  const a = m[4] / det, b = -m[1] / det, c = -m[3] / det, d = m[0] / det;
+  return affine(a, b,
+                c, d,
+                -(m[6] * a + m[7] * c), -(m[6] * b + m[7] * d));
+}
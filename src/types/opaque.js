@@ -0,0 +1,16 @@
+// Content we don't understand, kept as the XML it came from so it can be
+// looked at and written back out. `element` is shaped like the writer's
+// elements: `{ name, attributes, children }`, with text children as strings.
+export function create(element) {
+  return {
+    name: 'opaque',
+    type: element.attributes['type'],
+    element: element
+  };
+}
+
+// Holds on to an element that a canvas, layer or node doesn't know what to do
+// with, so it goes back out along with it.
+export function keep(owner, element) {
+  (owner.unknown || (owner.unknown = [])).push(create(element));
+}
@@ -1,4 +1,5 @@
 import * as Vector from './vector.js';
+import * as Matrix from './matrix.js';
 
 
 export function create(offset, angle, skew, scale) {
@@ -9,3 +10,24 @@ export function create(offset, angle, skew, scale) {
     scale: scale || Vector.diagonal(1)
   };
 }
+
+
+export function toMatrix(trans) {
+  const axisX = Vector.polar(trans.scale.x, trans.angle);
+  const axisY = Vector.polar(trans.scale.y, trans.angle + trans.skew + Math.PI / 2);
+  return Matrix.fromVectors(axisX, axisY, trans.offset);
+}
+
+export function fromMatrix(matrix) {
+  const m = matrix.array;
+  const axisX = Vector.at(m[0], m[1]), axisY = Vector.at(m[3], m[4]);
+  const angle = Vector.angle(axisX);
+  let scaleY = Vector.length(axisY), skew = Vector.angle(axisY) - angle - Math.PI / 2;
+  // A mirrored matrix comes out as a negative Y scale, not a 180° skew.
+  if(m[0] * m[4] - m[1] * m[3] < 0) {
+    scaleY = -scaleY;
+    skew += Math.PI;
+  }
+  skew = Math.atan2(Math.sin(skew), Math.cos(skew));
+  return create(Vector.at(m[6], m[7]), angle, skew, Vector.at(Vector.length(axisX), scaleY));
+}
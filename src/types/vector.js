@@ -22,3 +22,23 @@ export function add(a, b) {
 export function subtract(plus, minus) {
   return { x: plus.x - minus.x, y: plus.y - minus.y };
 }
+
+export function polar(radius, angle) {
+  return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+}
+
+export function scale(vec, scalar) {
+  return { x: vec.x * scalar, y: vec.y * scalar };
+}
+
+export function dot(a, b) {
+  return a.x * b.x + a.y * b.y;
+}
+
+export function length(vec) {
+  return Math.sqrt(vec.x * vec.x + vec.y * vec.y);
+}
+
+export function angle(vec) {
+  return Math.atan2(vec.y, vec.x);
+}
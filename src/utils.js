@@ -28,3 +28,17 @@ export function invertObject(obj) {
   }
   return out;
 }
+
+export function deepCopy(value) {
+  if(Array.isArray(value)) {
+    return value.map(deepCopy);
+  }
+  if(value && typeof value === 'object') {
+    const out = {};
+    for(let key in value) {
+      out[key] = deepCopy(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
@@ -0,0 +1,22 @@
+import * as VNLinkable from './linkable.js';
+
+
+export function create() {
+  return VNLinkable.create('bone', 'bone_object');
+}
+
+export function root() {
+  return {
+    name: 'bone_root',
+    type: 'bone_object'
+  };
+}
+
+
+export function isRoot(node) {
+  return node.name === 'bone_root';
+}
+
+export function children(bones, parent) {
+  return bones.filter((bone) => bone.parent === parent);
+}
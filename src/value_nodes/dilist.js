@@ -1,14 +1,17 @@
 import * as VNDynamicList from './dynamic_list.js';
+export { activeEntries, entryAmounts } from './dynamic_list.js';
 
 
 export function create(items, loop) {
   const out = VNDynamicList.create('dash_item', items);
   out.name = 'dilist';
   out.loop = !!loop;
+  return out;
 }
 
 export function wrap(value) {
   const out = VNDynamicList.wrap(value);
   out.name = 'dilist';
   out.loop = value.loop;
+  return out;
 }
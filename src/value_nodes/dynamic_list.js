@@ -20,3 +20,20 @@ export function wrap(value) {
   }
   return create(data[0].type, items);
 }
+
+
+export function activeEntries(list, time) {
+  return list.items.filter((entry) => Entry.statusAt(entry, time));
+}
+
+// Every entry that's at least partly faded in, along with how far.
+export function entryAmounts(list, time) {
+  const out = [], items = list.items;
+  for(let i = 0, len = items.length; i < len; ++i) {
+    const amount = Entry.amountAt(items[i], time);
+    if(amount > 0) {
+      out.push({ entry: items[i], amount: amount });
+    }
+  }
+  return out;
+}
@@ -17,3 +17,57 @@ export function addActivepoint(entry, activepoint) {
 export function addNewActivepoint(entry, time, state, priority) {
   addActivepoint(entry, Activepoint.create(time, state, priority));
 }
+
+
+// Entries with no activepoints are always on. Between two activepoints, the
+// one with the higher priority decides; if they're tied, the entry is on if
+// either of them says so.
+export function statusAt(entry, time) {
+  const points = entry.timingInfo, len = points.length;
+  if(!len) {
+    return true;
+  }
+  let i = 0;
+  while(i < len && points[i].time < time) {
+    ++i;
+  }
+  if(i < len && points[i].time === time) {
+    return points[i].state;
+  }
+  if(i === 0) {
+    return points[0].state;
+  }
+  if(i === len) {
+    return points[len-1].state;
+  }
+  const prev = points[i-1], next = points[i];
+  if(prev.priority === next.priority) {
+    return prev.state || next.state;
+  }
+  return prev.priority > next.priority ? prev.state : next.state;
+}
+
+// How far an entry has faded in, from 0 to 1. Between an off activepoint and
+// an on one, it fades linearly from one to the other.
+export function amountAt(entry, time) {
+  const points = entry.timingInfo, len = points.length;
+  if(!len) {
+    return 1;
+  }
+  let i = 0;
+  while(i < len && points[i].time < time) {
+    ++i;
+  }
+  if(i < len && points[i].time === time) {
+    return points[i].state ? 1 : 0;
+  }
+  if(i === 0 || i === len) {
+    return points[i === 0 ? 0 : len-1].state ? 1 : 0;
+  }
+  const prev = points[i-1], next = points[i];
+  if(prev.state === next.state) {
+    return prev.state ? 1 : 0;
+  }
+  const amount = (time - prev.time) / (next.time - prev.time);
+  return next.state ? amount : 1 - amount;
+}
@@ -0,0 +1,6 @@
+export function create(name, type) {
+  return {
+    name: name,
+    type: type
+  };
+}
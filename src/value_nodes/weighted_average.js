@@ -2,6 +2,7 @@ import * as VNDynamicList from './dynamic_list.js';
 import * as Weighted from '../types/weighted.js';
 import * as VNConst from './const.js';
 import * as Entry from './dynamic_list_entry.js';
+export { activeEntries, entryAmounts } from './dynamic_list.js';
 
 
 export function create(type, items, loop) {
@@ -10,6 +11,7 @@ export function create(type, items, loop) {
   // I cannot fathom why a weighted_average would be looped, but there you go.
   out.loop = !!loop;
   out.type = type;
+  return out;
 }
 
 export function wrap(value) {
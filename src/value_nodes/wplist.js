@@ -1,14 +1,17 @@
 import * as VNDynamicList from './dynamic_list.js';
+export { activeEntries, entryAmounts } from './dynamic_list.js';
 
 
 export function create(items, loop) {
   const out = VNDynamicList.create('width_point', items);
   out.name = 'wplist';
   out.loop = !!loop;
+  return out;
 }
 
 export function wrap(value) {
   const out = VNDynamicList.wrap(value);
   out.name = 'wplist';
   out.loop = value.loop;
+  return out;
 }
@@ -1,4 +1,4 @@
-export const CANVAS_VERSION = '1.0';
+export const CANVAS_VERSION = '1.2';
 
 export const CANVAS_VERSION_HISTORY = [
   '0.0',
@@ -11,29 +11,40 @@ export const CANVAS_VERSION_HISTORY = [
   '0.7',
   '0.8',
   '0.9',
-  '1.0'
+  '1.0',
+  '1.1',
+  '1.2'
 ];
 
-const CANVAS_VERSION_INDEX = index(CANVAS_VERSION);
-
 export function index(v) {
   return CANVAS_VERSION_HISTORY.indexOf(v);
 }
 
+// Compares versions part by part as numbers, so "0.10" comes after "0.9".
+// Files without a version are as old as it gets.
+export function compare(a, b) {
+  const as = (a || '0').split('.'), bs = (b || '0').split('.');
+  for(let i = 0, len = Math.max(as.length, bs.length); i < len; ++i) {
+    const x = parseInt(as[i]) || 0, y = parseInt(bs[i]) || 0;
+    if(x !== y) {
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
 export function greater(a, b) {
-  return index(a) > index(b);
+  return compare(a, b) > 0;
 }
 
 export function less(a, b) {
-  return index(a) < index(b);
+  return compare(a, b) < 0;
 }
 
 export function between(x, a, b) {
-  x = index(x);
-  return x >= index(a) && x <= index(b);
+  return compare(x, a) >= 0 && compare(x, b) <= 0;
 }
 
 export function supported(v) {
-  const ind = index(v);
-  return ind >= 0 && ind <= CANVAS_VERSION_INDEX;
+  return index(v) >= 0;
 }
@@ -0,0 +1,482 @@
+import * as Version from '../version.js';
+import * as Guid from '../guid.js';
+import * as Interpolation from '../interpolation.js';
+
+import * as Canvas from '../types/canvas.js';
+import * as Color from '../types/color.js';
+import { layerParams } from '../parsing/layer.js';
+
+import * as XML from './xml.js';
+import { writeLayer } from './layer.js';
+import { writeLinkableValueNode } from './linkable_vn.js';
+
+
+// Everything the writer needs to know about the document as a whole: which
+// nodes are exported and from where, and which ones are used more than once
+// (those get GUIDs, so they come back as the same object).
+export function createContext(root) {
+  const guids = root.guids || Guid.createRegistry();
+  const context = {
+    root: root,
+    guids: guids,
+    rootGuid: Guid.sureFind(guids, root),
+    gamma: root.gamma || Color.defaultGamma(),
+    canvas: root,
+    exported: new Map(),
+    counts: new Map(),
+    bones: new Set(),
+    inBones: false
+  };
+  collectExports(root, context);
+  countCanvas(root, context);
+  return context;
+}
+
+function collectExports(canvas, context) {
+  for(let id in canvas.valueNodes) {
+    context.exported.set(canvas.valueNodes[id], { canvas: canvas, id: id });
+  }
+  canvas.bones.forEach((bone) => context.bones.add(bone));
+  for(let id in canvas.canvases) {
+    collectExports(canvas.canvases[id], context);
+  }
+}
+
+function count(thing, context) {
+  const counts = context.counts, n = counts.get(thing) || 0;
+  counts.set(thing, n + 1);
+  return n;
+}
+
+function countCanvas(canvas, context) {
+  if(count(canvas, context)) {
+    return;
+  }
+  if(!canvas.inline) {
+    for(let id in canvas.valueNodes) {
+      countNode(canvas.valueNodes[id], context);
+    }
+    canvas.bones.forEach((bone) => countNode(bone, context));
+    for(let id in canvas.canvases) {
+      countCanvas(canvas.canvases[id], context);
+    }
+  }
+  canvas.layers.forEach((layer) => {
+    const config = layerParams(layer.name);
+    if(config) for(let key in config.params) {
+      if(layer[key]) {
+        countNode(layer[key], context);
+      }
+    }
+  });
+}
+
+function countNode(node, context) {
+  if(count(node, context)) {
+    return;
+  }
+  switch(node.name) {
+    case 'constant': {
+      if(node.type === 'canvas' && node.data.data && node.data.data.inline) {
+        countCanvas(node.data.data, context);
+      }
+      return;
+    }
+    case 'animated': {
+      node.waypoints.forEach((waypoint) => countNode(waypoint.valueNode, context));
+      return;
+    }
+    case 'static_list': {
+      node.items.forEach((item) => countNode(item, context));
+      return;
+    }
+    case 'dynamic_list': case 'bline': case 'wplist': case 'dilist': case 'weighted_average': {
+      node.items.forEach((entry) => countNode(entry.valueNode, context));
+      return;
+    }
+    case 'opaque': {
+      return;
+    }
+  }
+  for(let key in node) {
+    if(key !== 'name' && key !== 'type' && node[key] && node[key].name) {
+      countNode(node[key], context);
+    }
+  }
+}
+
+
+function canvasPath(canvas) {
+  const ids = [];
+  for(canvas = Canvas.getNonInline(canvas); canvas.parent; canvas = Canvas.getNonInline(canvas.parent)) {
+    ids.unshift(canvas.id);
+  }
+  return ':' + ids.join(':');
+}
+
+// The "use" attribute for a node, if it's exported or a reference to an
+// exported canvas. IDs are written relative to the current canvas when they
+// can be, and absolute otherwise.
+export function reference(node, context) {
+  const here = Canvas.getNonInline(context.canvas);
+  const exported = context.exported.get(node);
+  if(exported) {
+    if(exported.canvas === here) {
+      return exported.id;
+    }
+    const path = canvasPath(exported.canvas);
+    return (path === ':' ? '' : path) + ':' + exported.id;
+  }
+  if(node.name === 'constant' && node.type === 'canvas') {
+    const canvas = node.data.data;
+    if(canvas && !canvas.inline) {
+      return canvas.parent === here ? canvas.id : canvasPath(canvas);
+    }
+  }
+}
+
+// Makes an element like <param> or <entry> that either "use"s the node or
+// contains it.
+export function wrapNode(name, attrs, node, context) {
+  const id = reference(node, context);
+  if(id !== undefined) {
+    attrs.use = id;
+    return XML.element(name, attrs);
+  }
+  return XML.element(name, attrs, [writeValueNode(node, context)]);
+}
+
+// Elements that were kept as they were because the parser didn't understand
+// them.
+export function unknownElements(thing) {
+  return (thing.unknown || []).map((node) => node.element);
+}
+
+function nodeGuid(node, context) {
+  return Guid.xor(Guid.sureFind(context.guids, node), context.rootGuid);
+}
+
+
+export function writeCanvas(canvas, context) {
+  context = Object.assign({}, context, { canvas: canvas });
+  const attrs = {}, children = [];
+  
+  if(canvas.inline) {
+    if(context.counts.get(canvas) > 1) {
+      attrs['guid'] = Guid.sureFind(context.guids, canvas);
+    }
+  } else {
+    if(canvas.parent) {
+      attrs['id'] = canvas.id;
+    } else {
+      // Everything we hold has already been brought up to date.
+      attrs['version'] = Version.CANVAS_VERSION;
+      attrs['gamma-r'] = formatNumber(context.gamma.r);
+      attrs['gamma-g'] = formatNumber(context.gamma.g);
+      attrs['gamma-b'] = formatNumber(context.gamma.b);
+    }
+    attrs['width'] = canvas.width;
+    attrs['height'] = canvas.height;
+    attrs['xres'] = canvas.xres === undefined ? undefined : formatNumber(canvas.xres);
+    attrs['yres'] = canvas.yres === undefined ? undefined : formatNumber(canvas.yres);
+    if(canvas.tl && canvas.br) {
+      attrs['view-box'] = [canvas.tl.x, canvas.tl.y, canvas.br.x, canvas.br.y].map(formatNumber).join(' ');
+    }
+    attrs['antialias'] = canvas.antialias;
+    attrs['fps'] = canvas.fps === undefined ? undefined : formatNumber(canvas.fps);
+    attrs['begin-time'] = canvas.timeStart === undefined ? undefined : formatTime(canvas.timeStart);
+    attrs['end-time'] = canvas.timeEnd === undefined ? undefined : formatTime(canvas.timeEnd);
+    if(canvas.bgcolor) {
+      const c = Color.encodeGamma(canvas.bgcolor, context.gamma);
+      attrs['bgcolor'] = [c.r, c.g, c.b, c.a].map(formatNumber).join(' ');
+    }
+    if(canvas.focus) {
+      attrs['focus'] = [canvas.focus.x, canvas.focus.y].map(formatNumber).join(' ');
+    }
+    attrs['guid'] = Guid.sureFind(context.guids, canvas);
+    
+    if(canvas.name !== undefined) children.push(XML.text('name', {}, canvas.name));
+    if(canvas.description !== undefined) children.push(XML.text('desc', {}, canvas.description));
+    if(canvas.author !== undefined) children.push(XML.text('author', {}, canvas.author));
+    
+    canvas.keyframes.forEach((keyframe) => {
+      children.push(XML.text('keyframe', {
+        time: formatTime(keyframe.time),
+        active: keyframe.active ? 'true' : 'false'
+      }, keyframe.description || ''));
+    });
+    for(let name in canvas.metadata) {
+      children.push(XML.element('meta', { name: name, content: canvas.metadata[name] }));
+    }
+    
+    const defs = [];
+    for(let id in canvas.valueNodes) {
+      defs.push(writeValueNode(canvas.valueNodes[id], context, id));
+    }
+    for(let id in canvas.canvases) {
+      defs.push(writeCanvas(canvas.canvases[id], context));
+    }
+    if(defs.length) {
+      children.push(XML.element('defs', {}, defs));
+    }
+    
+    if(canvas.bones.length) {
+      const bonesContext = Object.assign({}, context, { inBones: true });
+      children.push(XML.element('bones', {}, canvas.bones.map((bone) => writeValueNode(bone, bonesContext))));
+    }
+  }
+  
+  // Files list layers bottom-first.
+  for(let i = canvas.layers.length - 1; i >= 0; --i) {
+    children.push(writeLayer(canvas.layers[i], context));
+  }
+  children.push.apply(children, unknownElements(canvas));
+  
+  return XML.element('canvas', attrs, children);
+}
+
+export function writeValueNode(node, context, id) {
+  const inBones = context.inBones;
+  if(inBones) {
+    context = Object.assign({}, context, { inBones: false });
+  }
+  
+  let out;
+  switch(node.name) {
+    case 'constant': {
+      out = writeValue(node.data, context);
+      break;
+    }
+    case 'animated': {
+      out = writeAnimated(node, context);
+      break;
+    }
+    case 'static_list': {
+      out = XML.element('static_list', { type: node.containedType },
+                        node.items.map((item) => wrapNode('entry', {}, item, context)));
+      break;
+    }
+    case 'dynamic_list': case 'bline': case 'wplist': case 'dilist': case 'weighted_average': {
+      out = writeDynamicList(node, context);
+      break;
+    }
+    case 'bone_root': {
+      return XML.element('bone_root', { type: 'bone_object' });
+    }
+    case 'opaque': {
+      // The ID and GUID are written like any other node's.
+      const attrs = Object.assign({}, node.element.attributes);
+      delete attrs['id'];
+      delete attrs['guid'];
+      out = XML.element(node.element.name, attrs, node.element.children);
+      break;
+    }
+    case 'bone': {
+      // Bones live in <bones>; everywhere else just points at them.
+      if(!inBones && context.bones.has(node)) {
+        return XML.element('bone_valuenode', { type: 'bone_object', guid: nodeGuid(node, context) });
+      }
+      out = writeLinkableValueNode(node, context);
+      break;
+    }
+    default: {
+      out = writeLinkableValueNode(node, context);
+    }
+  }
+  
+  if(id !== undefined) {
+    out.attributes['id'] = id;
+  }
+  // Inline canvases look after their own GUIDs.
+  if(out.name !== 'canvas' && (node.name === 'bone' || (id === undefined && context.counts.get(node) > 1))) {
+    out.attributes['guid'] = nodeGuid(node, context);
+  }
+  return out;
+}
+
+export function writeAnimated(node, context) {
+  return XML.element('animated', {
+    type: node.type,
+    interpolation: interpolationToString(node.interpolation)
+  }, node.waypoints.map((waypoint) => {
+    return wrapNode('waypoint', {
+      time: formatTime(waypoint.time),
+      before: interpolationToString(waypoint.interpolationBefore),
+      after: interpolationToString(waypoint.interpolationAfter),
+      tension: waypoint.tension ? formatNumber(waypoint.tension) : undefined,
+      continuity: waypoint.continuity ? formatNumber(waypoint.continuity) : undefined,
+      bias: waypoint.bias ? formatNumber(waypoint.bias) : undefined,
+      'temporal-tension': waypoint.temporalTension ? formatNumber(waypoint.temporalTension) : undefined
+    }, waypoint.valueNode, context);
+  }));
+}
+
+function activepointCodes(entry, state) {
+  const codes = entry.timingInfo.filter((point) => point.state === state).map((point) => {
+    const time = formatTime(point.time);
+    return point.priority ? `p${point.priority} ${time}` : time;
+  });
+  return codes.length ? codes.join(', ') : undefined;
+}
+
+export function writeDynamicList(node, context) {
+  return XML.element(node.name, {
+    type: node.containedType,
+    loop: node.loop ? 'true' : undefined
+  }, node.items.map((entry) => {
+    return wrapNode('entry', {
+      on: activepointCodes(entry, true),
+      off: activepointCodes(entry, false)
+    }, entry.valueNode, context);
+  }));
+}
+
+
+function real(name, value) {
+  return XML.element(name, {}, [writeValue({ type: 'real', data: value })]);
+}
+
+function integer(name, value) {
+  return XML.element(name, {}, [writeValue({ type: 'integer', data: value })]);
+}
+
+function angle(name, value) {
+  return XML.element(name, {}, [writeValue({ type: 'angle', data: value })]);
+}
+
+function vector(name, value) {
+  return XML.element(name, {}, [writeValue({ type: 'vector', data: value })]);
+}
+
+// Colors are stored with the document's gamma applied.
+function colorChannels(color, context) {
+  color = Color.encodeGamma(color, context.gamma);
+  return [
+    XML.text('r', {}, formatNumber(color.r)),
+    XML.text('g', {}, formatNumber(color.g)),
+    XML.text('b', {}, formatNumber(color.b)),
+    XML.text('a', {}, formatNumber(color.a))
+  ];
+}
+
+export function writeValue(value, context) {
+  const type = value.type, data = value.data;
+  const attrs = {
+    static: value.static ? 'true' : undefined,
+    interpolation: interpolationToString(value.interpolation)
+  };
+  
+  switch(type) {
+    case 'real': case 'integer': case 'time': case 'bool': case 'angle': {
+      let str;
+      if(type === 'real') str = formatNumber(data);
+      else if(type === 'integer') str = String(Math.round(data));
+      else if(type === 'time') str = formatTime(data);
+      else if(type === 'bool') str = data ? 'true' : 'false';
+      else str = formatNumber(data * 180 / Math.PI);
+      return XML.element(type, Object.assign({ value: str }, attrs));
+    }
+    case 'string': {
+      return XML.text('string', attrs, data);
+    }
+    case 'vector': {
+      return XML.element('vector', attrs, [
+        XML.text('x', {}, formatNumber(data.x)),
+        XML.text('y', {}, formatNumber(data.y))
+      ]);
+    }
+    case 'color': {
+      return XML.element('color', attrs, colorChannels(data, context));
+    }
+    case 'segment': {
+      return XML.element('segment', attrs, [
+        vector('p1', data.point1),
+        vector('t1', data.tangent1),
+        vector('p2', data.point2),
+        vector('t2', data.tangent2)
+      ]);
+    }
+    case 'gradient': {
+      return XML.element('gradient', attrs, data.stops.map((stop) => {
+        return XML.element('color', { pos: formatNumber(stop.position) }, colorChannels(stop.color, context));
+      }));
+    }
+    case 'transformation': {
+      return XML.element('transformation', attrs, [
+        vector('offset', data.offset),
+        angle('angle', data.angle),
+        angle('skew_angle', data.skew),
+        vector('scale', data.scale)
+      ]);
+    }
+    case 'list': {
+      return XML.element('list', attrs, data.map((item) => writeValue(item, context)));
+    }
+    case 'bline_point': {
+      const children = [vector('v', data.vertex), vector('t1', data.tangent1)];
+      // Without a <t2>, the second tangent is taken to be the same as the first.
+      if(data.splitRadius || data.splitAngle) {
+        children.push(vector('t2', data.tangent2));
+      }
+      children.push(real('width', data.width), real('origin', data.origin));
+      return XML.element('bline_point', attrs, children);
+    }
+    case 'width_point': {
+      return XML.element('width_point', attrs, [
+        real('position', data.position),
+        real('width', data.width),
+        integer('side_before', data.sideBefore),
+        integer('side_after', data.sideAfter),
+        real('lower_bound', data.lowerBound),
+        real('upper_bound', data.upperBound)
+      ]);
+    }
+    case 'dash_item': {
+      return XML.element('dash_item', attrs, [
+        real('offset', data.offset),
+        real('length', data.length),
+        integer('side_before', data.sideBefore),
+        integer('side_after', data.sideAfter)
+      ]);
+    }
+    case 'canvas': {
+      if(!data.inline) {
+        throw Error("Exported canvases can only be written as references!");
+      }
+      const out = writeCanvas(data, context);
+      out.attributes.static = attrs.static;
+      return out;
+    }
+  }
+  if(type.indexOf('weighted_') === 0) {
+    return XML.element(type, attrs, [
+      real('weight', data.weight),
+      XML.element('value', {}, [writeValue({ type: type.substr('weighted_'.length), data: data.value }, context)])
+    ]);
+  }
+  throw Error(`Don't know how to write values of type "${type}"!`);
+}
+
+
+// Synfig writes reals with ten decimal places.
+export function formatNumber(number) {
+  return number.toFixed(10);
+}
+
+export function formatTime(time) {
+  if(time <= -32767.0*512.0) return 'SOT';
+  if(time >= 32767.0*512.0) return 'EOT';
+  const str = time.toFixed(10).replace(/\.?0+$/, '');
+  return (str === '-0' ? '0' : str) + 's';
+}
+
+export function interpolationToString(interpolation) {
+  switch(interpolation) {
+    case Interpolation.HALT: return 'halt';
+    case Interpolation.CONSTANT: return 'constant';
+    case Interpolation.LINEAR: return 'linear';
+    case Interpolation.MANUAL: return 'manual';
+    case Interpolation.TCB: return 'auto';
+    case Interpolation.CLAMPED: return 'clamped';
+  }
+}
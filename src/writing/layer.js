@@ -0,0 +1,57 @@
+import { layerParams } from '../parsing/layer.js';
+import * as BlurType from '../blur_type.js';
+import * as Vector from '../types/vector.js';
+
+import * as VNConst from '../value_nodes/const.js';
+
+import * as XML from './xml.js';
+import { wrapNode, unknownElements } from './general.js';
+
+
+export function writeLayer(layer, context) {
+  if(layer.name === 'opaque') {
+    return layer.element;
+  }
+  const config = layerParams(layer.name);
+  if(!config) {
+    throw Error(`Don't know how to write "${layer.name}" layers!`);
+  }
+  
+  const attrs = {
+    type: layer.name,
+    active: layer.active ? 'true' : 'false',
+    exclude_from_rendering: layer.excludeFromRendering ? 'true' : 'false',
+    version: layer.version,
+    desc: layer.description,
+    group: layer.group
+  };
+  
+  const params = config.params, children = [];
+  for(let key in params) {
+    if(layer[key]) {
+      const name = typeof params[key] === 'string' ? params[key] : params[key][0];
+      const node = layer.name === 'blur' && key === 'size' ? blurSize(layer) : layer[key];
+      children.push(wrapNode('param', { name: name }, node, context));
+    }
+  }
+  children.push.apply(children, unknownElements(layer));
+  
+  return XML.element('layer', attrs, children);
+}
+
+// Undoes what amplifyBlurSize did while parsing, so the file gets back the
+// size it started with.
+function blurSize(layer) {
+  const size = layer.size, type = layer.type;
+  if(layer.unamplifiedSize || size.name !== 'constant' || type.name !== 'constant') {
+    return size;
+  }
+  const amplifier = BlurType.sizeAmplifier(type.data.data);
+  if(amplifier === 1) {
+    return size;
+  }
+  const vec = size.data.data;
+  return VNConst.wrap(Object.assign({}, size.data, {
+    data: Vector.at(vec.x / amplifier, vec.y / amplifier)
+  }));
+}
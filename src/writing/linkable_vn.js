@@ -0,0 +1,47 @@
+import { linkableLinks } from '../parsing/linkable_vn.js';
+import * as Color from '../types/color.js';
+
+import * as XML from './xml.js';
+import { reference, writeValue, writeValueNode, unknownElements } from './general.js';
+
+
+export function writeLinkableValueNode(node, context) {
+  const links = linkableLinks(node.name, node.type);
+  if(!links) {
+    throw Error(`Don't know how to write <${node.name}> nodes!`);
+  }
+  
+  const attrs = { type: node.type }, children = [];
+  for(let key in links) {
+    // Old files' "split" link was copied into splitRadius and splitAngle.
+    if(!node[key] || (node.name === 'composite' && key === 'split')) {
+      continue;
+    }
+    const name = typeof links[key] === 'string' ? links[key] : links[key][0];
+    const id = reference(node[key], context);
+    if(id !== undefined) {
+      attrs[name] = id;
+    } else if(node.name === 'composite' && node.type === 'color' && key !== 'a') {
+      children.push(XML.element(name, {}, [writeChannel(node, key, context)]));
+    } else {
+      children.push(XML.element(name, {}, [writeValueNode(node[key], context)]));
+    }
+  }
+  children.push.apply(children, unknownElements(node));
+  
+  return XML.element(node.name, attrs, children);
+}
+
+// A composite color's channels are written with the document's gamma, like
+// any other color. Ones that came from older files, or weren't loaded at all,
+// are linear, and have to be encoded on the way out. Only plain numbers can
+// be: anything linked is written as it is, and so are radial composites,
+// whose parts aren't channels at all.
+function writeChannel(node, key, context) {
+  const channel = node[key];
+  const exponent = (node.gamma ? node.gamma[key] : 1) / context.gamma[key];
+  if(exponent === 1 || channel.name !== 'constant' || context.counts.get(channel) > 1) {
+    return writeValueNode(channel, context);
+  }
+  return writeValue(Object.assign({}, channel.data, { data: Color.power(channel.data.data, exponent) }), context);
+}
@@ -0,0 +1,13 @@
+import * as XML from './xml.js';
+import { createContext, writeCanvas } from './general.js';
+import { compress } from '../sifz.js';
+
+
+export function writeSif(canvas) {
+  return XML.document(writeCanvas(canvas, createContext(canvas)));
+}
+
+// Gives back a Buffer with the gzipped file, ready to be saved as .sifz.
+export function writeSifz(canvas) {
+  return compress(writeSif(canvas));
+}
@@ -0,0 +1,49 @@
+// A tiny XML tree, just enough to write .sif files. Attributes whose value is
+// undefined are left out, which saves a lot of ifs when building elements.
+export function element(name, attributes, children) {
+  return {
+    name: name,
+    attributes: attributes || {},
+    children: children || []
+  };
+}
+
+export function text(name, attributes, content) {
+  return element(name, attributes, [String(content)]);
+}
+
+
+function escape(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+}
+
+export function serialize(el, indent) {
+  indent = indent || '';
+  let out = indent + '<' + el.name;
+  const attrs = el.attributes;
+  for(let name in attrs) {
+    if(attrs[name] !== undefined) {
+      out += ` ${name}="${escape(String(attrs[name]))}"`;
+    }
+  }
+  
+  const children = el.children;
+  if(!children.length) {
+    return out + '/>';
+  }
+  if(children.length === 1 && typeof children[0] === 'string') {
+    return out + '>' + escape(children[0]) + `</${el.name}>`;
+  }
+  
+  out += '>\n';
+  for(let i = 0, len = children.length; i < len; ++i) {
+    const child = children[i];
+    out += (typeof child === 'string' ? indent + '  ' + escape(child) : serialize(child, indent + '  ')) + '\n';
+  }
+  return out + indent + `</${el.name}>`;
+}
+
+export function document(root) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + serialize(root) + '\n';
+}